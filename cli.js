@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+const fs=require('fs');
+const http=require('http');
+const https=require('https');
+const http2=require('http2');
+const staticHandler=require('./static');
+
+/**
+ * The kind of value of each option of the handler.
+ * - boolean: `--flag` or `--no-flag`
+ * - string, number: `--flag value` or `--flag=value`
+ * - list: the flag can be repeated
+ * - json: `--flag` for true, `--no-flag` for false, or `--flag=<json>` (`--flag=@file.json` to read it from a file)
+ * @private
+ * @readonly
+ * @enum {string}
+ */
+const Kinds={
+  boolean: 'boolean',
+  string: 'string',
+  number: 'number',
+  list: 'list',
+  json: 'json'
+};
+
+/**
+ * The options of the handler, by flag.
+ * @private
+ * @type {Object<string,{option:string,kind:Kinds,description:string}>}
+ */
+const handlerFlags={
+  'root': { option: 'root', kind: Kinds.list, description: 'the directory (or archive) to serve, repeat it for layered roots' },
+  'prefix': { option: 'prefix', kind: Kinds.string, description: 'the path prefix' },
+  'header': { option: 'headers', kind: Kinds.list, description: 'a header added to all responses ("Name: value")' },
+  'disallow-shared-cache': { option: 'disallowSharedCache', kind: Kinds.boolean, description: 'use private instead of public in Cache-Control' },
+  'types': { option: 'allowedFileTypes', kind: Kinds.string, description: 'a json file with the allowed file types' },
+  'streaming-threshold': { option: 'streamingThreshold', kind: Kinds.number, description: 'the size above which files are streamed' },
+  'watch': { option: 'watch', kind: Kinds.boolean, description: 'synchronize when the files change' },
+  'watch-delay': { option: 'watchDelay', kind: Kinds.number, description: 'the delay before synchronizing (in ms)' },
+  'precompressed': { option: 'precompressed', kind: Kinds.boolean, description: 'use the .gz, .br and .zst sidecar files' },
+  'compression-cache': { option: 'compressionCache', kind: Kinds.string, description: 'the directory of the compression cache' },
+  'autoindex': { option: 'autoindex', kind: Kinds.boolean, description: 'serve directory listings' },
+  'spa-fallback': { option: 'spaFallback', kind: Kinds.string, description: 'the page served for unknown navigations' },
+  'error-pages': { option: 'errorPages', kind: Kinds.json, description: 'the custom error pages ({"404":"/404.html"})' },
+  'handle-not-found': { option: 'handleNotFound', kind: Kinds.boolean, description: 'send the 404 responses under the prefix' },
+  'header-rules': { option: 'headerRules', kind: Kinds.json, description: 'the header rules' },
+  'redirects': { option: 'redirects', kind: Kinds.json, description: 'the redirect and rewrite rules' },
+  'sync-endpoint': { option: 'syncEndpoint', kind: Kinds.json, description: 'the synchronization endpoint options' },
+  'metrics': { option: 'metrics', kind: Kinds.json, description: 'the metrics options' },
+  'log': { option: 'logger', kind: Kinds.boolean, description: 'log the processed files and the errors' },
+  'max-memory': { option: 'maxMemory', kind: Kinds.number, description: 'the memory budget for the content of the files' },
+  'mounts': { option: 'mounts', kind: Kinds.json, description: 'the mounted directories' },
+  'image-variants': { option: 'imageVariants', kind: Kinds.boolean, description: 'serve the avif and webp variants of images' },
+  'languages': { option: 'languages', kind: Kinds.json, description: 'the language negotiation options' },
+  'integrity': { option: 'integrity', kind: Kinds.json, description: 'the subresource integrity options' },
+  'preload': { option: 'preload', kind: Kinds.json, description: 'the preload links and early hints options' },
+  'generations': { option: 'generations', kind: Kinds.json, description: 'the cache generations options' },
+  'exported': { option: 'exported', kind: Kinds.string, description: 'serve a directory written with --export' }
+};
+
+/**
+ * The options of the server, by flag.
+ * @private
+ * @type {Object<string,{option:string,kind:Kinds,description:string}>}
+ */
+const serverFlags={
+  'port': { option: 'port', kind: Kinds.number, description: 'the port (8080 by default)' },
+  'host': { option: 'host', kind: Kinds.string, description: 'the address to listen on (all by default)' },
+  'cert': { option: 'cert', kind: Kinds.string, description: 'the certificate file, for https' },
+  'key': { option: 'key', kind: Kinds.string, description: 'the private key file, for https' },
+  'http2': { option: 'http2', kind: Kinds.boolean, description: 'use http2 (with http/1.1 fallback when using https)' },
+  'export': { option: 'export', kind: Kinds.string, description: 'write the processed files to a directory instead' },
+  'help': { option: 'help', kind: Kinds.boolean, description: 'show this message' }
+};
+
+/**
+ * @typedef {Object<string,*>} ServerOptions
+ * @property {number} [port=8080]
+ * @property {?string} [host=null]
+ * @property {?string} [cert=null]
+ * @property {?string} [key=null]
+ * @property {boolean} [http2=false]
+ * @property {?string} [export=null]
+ * @property {boolean} [help=false]
+ */
+
+/**
+ * Parses a json flag value, or reads it from a file if it starts with @.
+ * @private
+ * @param {string} flag
+ * @param {string} value
+ * @returns {*}
+ */
+const jsonValue=(flag,value)=>{
+  try{
+    return JSON.parse(value.charAt(0)==='@'?fs.readFileSync(value.substring(1),'utf8'):value);
+  }
+  catch(err){
+    throw new Error(`Invalid value for --${flag}: ${err.message}`);
+  }
+};
+
+/**
+ * Parses the command line arguments into the options of the handler and the options of the server.
+ * @param {string[]} args the arguments, without the node executable and the script
+ * @returns {{handler:DirectoryOptions,server:ServerOptions}}
+ */
+const parseArguments=args=>{
+  const handler={};
+  const server={ port: 8080, host: null, cert: null, key: null, http2: false, export: null, help: false };
+  for(let i=0;i<args.length;++i){
+    const arg=args[i];
+    if(arg.substring(0,2)!=='--') throw new Error(`Unexpected argument: ${arg}`);
+    const equals=arg.indexOf('=');
+    let name=equals===-1?arg.substring(2):arg.substring(2,equals);
+    const negated=name.substring(0,3)==='no-'&&!handlerFlags[name]&&!serverFlags[name];
+    if(negated) name=name.substring(3);
+    const flag=handlerFlags[name]||serverFlags[name];
+    if(!flag) throw new Error(`Unknown option: --${name}`);
+    const target=handlerFlags[name]?handler:server;
+    if(flag.kind===Kinds.boolean||(flag.kind===Kinds.json&&equals===-1)){
+      if(equals!==-1) throw new Error(`Unexpected value for --${name}`);
+      target[flag.option]=!negated;
+      continue;
+    }
+    if(negated) throw new Error(`Unknown option: --no-${name}`);
+    const text=equals===-1?args[++i]:arg.substring(equals+1);
+    if(text===undefined) throw new Error(`Missing value for --${name}`);
+    let value=text;
+    if(flag.kind===Kinds.number){
+      value=Number(text);
+      if(text===''||isNaN(value)) throw new Error(`Invalid value for --${name}: ${text}`);
+    }
+    if(flag.kind===Kinds.json) value=jsonValue(name,value);
+    if(flag.kind===Kinds.list) value=(target[flag.option]||[]).concat(value);
+    target[flag.option]=value;
+  }
+  if(handler.headers){
+    handler.headers=handler.headers.reduce((headers,it)=>{
+      const i=it.indexOf(':');
+      if(i<1) throw new Error(`Invalid header: ${it}`);
+      headers[it.substring(0,i).trim()]=it.substring(i+1).trim();
+      return headers;
+    },{});
+  }
+  if(handler.root&&handler.root.length===1) handler.root=handler.root[0];
+  if(handler.allowedFileTypes) handler.allowedFileTypes=jsonValue('types',`@${handler.allowedFileTypes}`);
+  if(handler.logger) handler.logger=console;
+  else delete handler.logger;
+  if(!server.cert!==!server.key) throw new Error('Both --cert and --key are required for https');
+  return { handler: handler, server: server };
+};
+
+/**
+ * Returns the usage message.
+ * @returns {string}
+ */
+const usage=()=>{
+  const lines=flags=>Object.entries(flags).map(([ name,it ])=>{
+    const value=it.kind===Kinds.boolean?'':it.kind===Kinds.json?'[=<json>|=@<file>]':` <${it.kind===Kinds.list?'value':it.kind}>`;
+    return `  --${`${name}${value}`.padEnd(36)} ${it.description}`;
+  });
+  return [
+    'Usage: static-handler [options]',
+    '',
+    'Server options:',
+    ...lines(serverFlags),
+    '',
+    'Handler options (see the README for the details):',
+    ...lines(handlerFlags),
+    '',
+    'Boolean and json options can be disabled with --no-<option>.',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Creates the handler and starts the server.
+ * Requests that are not accepted by the handler get a 404 response.
+ * @param {DirectoryOptions} handlerOptions
+ * @param {ServerOptions} serverOptions
+ * @returns {Promise<{server:Server,handler:EventEmitter,address:{address:string,port:number},close:function():Promise<void>}>}
+ */
+const serve=async (handlerOptions,serverOptions)=>{
+  const handler=await staticHandler(handlerOptions);
+  const listener=(request,response)=>{
+    const hostname=(request.headers['host']||request.headers[':authority']||'').replace(/:[0-9]+$/,'');
+    const accepted=handler.accept(request,response,hostname,request.socket.remoteAddress);
+    if(accepted) return handler.handle(accepted);
+    response.writeHead(404);
+    response.end();
+  };
+  const tls=serverOptions.cert?{
+    cert: fs.readFileSync(serverOptions.cert),
+    key: fs.readFileSync(serverOptions.key)
+  }:null;
+  const server=serverOptions.http2?
+               tls?http2.createSecureServer(Object.assign({ allowHTTP1: true },tls),listener):http2.createServer(listener):
+               tls?https.createServer(tls,listener):http.createServer(listener);
+  // The http2 sessions are closed gracefully on shutdown.
+  const sessions=new Set();
+  server.on('session',it=>{
+    sessions.add(it);
+    it.on('close',()=>sessions.delete(it));
+  });
+  await new Promise((resolve,reject)=>{
+    server.once('error',reject);
+    server.listen(serverOptions.port,serverOptions.host||undefined,()=>{
+      server.off('error',reject);
+      resolve();
+    });
+  });
+  /**
+   * Stops accepting new connections, waits for the requests in progress and stops the handler.
+   * @returns {Promise<void>}
+   */
+  const close=async()=>{
+    const closed=new Promise(resolve=>server.close(()=>resolve()));
+    sessions.forEach(it=>it.close());
+    if(server.closeIdleConnections) server.closeIdleConnections();
+    await closed;
+    await handler.close();
+  };
+  return { server: server, handler: handler, address: server.address(), close: close };
+};
+
+/**
+ * Runs the command: starts the server, synchronizes on SIGHUP and shuts down on SIGINT and SIGTERM,
+ * or exports the processed files.
+ * @param {string[]} args
+ * @returns {Promise<void>}
+ */
+const main=async args=>{
+  let options;
+  try{
+    options=parseArguments(args);
+  }
+  catch(err){
+    process.stderr.write(`${err.message}\n\n${usage()}`);
+    process.exitCode=2;
+    return;
+  }
+  if(options.server.help) return process.stdout.write(usage());
+  if(options.server.export){
+    const entries=await staticHandler.build(options.handler,options.server.export);
+    process.stdout.write(`Exported ${Object.keys(entries).length} paths to ${options.server.export}\n`);
+    return;
+  }
+  const it=await serve(options.handler,options.server);
+  const protocol=options.server.cert?'https':'http';
+  process.stdout.write(`Listening on ${protocol}://${it.address.address.indexOf(':')===-1?it.address.address:`[${it.address.address}]`}:${it.address.port}\n`);
+  process.on('SIGHUP',()=>{
+    it.handler.sync().then(
+      report=>process.stdout.write(`Synchronized: ${report.added.length} added, ${report.changed.length} changed, ${report.removed.length} removed\n`),
+      err=>process.stderr.write(`Synchronization failed: ${err.message}\n`)
+    );
+  });
+  let stopping=false;
+  const shutdown=()=>{
+    // A second signal stops the process without waiting.
+    if(stopping) process.exit(1);
+    stopping=true;
+    it.close().then(()=>process.stdout.write('Stopped\n'),err=>{
+      process.stderr.write(`${err.message}\n`);
+      process.exitCode=1;
+    });
+  };
+  process.on('SIGINT',shutdown);
+  process.on('SIGTERM',shutdown);
+};
+
+module.exports={ parseArguments: parseArguments, usage: usage, serve: serve };
+
+if(require.main===module){
+  main(process.argv.slice(2)).catch(err=>{
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+  });
+}
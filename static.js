@@ -1,6 +1,10 @@
 const fs=require('fs').promises;
+const { createReadStream, watch }=require('fs');
+const { basename, dirname }=require('path');
 const zlib=require('zlib');
 const crypto=require('crypto');
+const net=require('net');
+const EventEmitter=require('events');
 
 /**
  * @name Headers
@@ -70,6 +74,7 @@ const allowedTypes={
   svg: { headers: {'Content-Type':'image/svg+xml','Cache-Control':'public,immutable'}, compress: true },
   ico: { headers: {'Content-Type':'image/x-icon','Cache-Control':'public,immutable'}, compress: false },
   webp: { headers: {'Content-Type':'image/webp','Cache-Control':'public,immutable'}, compress: false },
+  avif: { headers: {'Content-Type':'image/avif','Cache-Control':'public,immutable'}, compress: false },
   mp4: { headers: {'Content-Type':'video/mp4','Cache-Control':'public,immutable'}, compress: false },
   webm: { headers: {'Content-Type':'video/webm','Cache-Control':'public,immutable'}, compress: false },
   zip: { headers: {'Content-Type':'application/zip','Cache-Control':'public,no-cache'}, compress: false },
@@ -89,6 +94,16 @@ const allowedTypes={
   manifest: { headers: {'Content-Type':'application/manifest+json','Cache-Control':'public,max-age=3600,must-revalidate'}, compress: true },
 };
 
+/**
+ * File types of the generated directory listings.
+ * @private
+ * @type {Object<string,FileTypeConfiguration>}
+ */
+const listingTypes={
+  html: { headers: {'Content-Type':'text/html','Cache-Control':'public,no-cache'}, compress: true },
+  json: { headers: {'Content-Type':'application/json','Cache-Control':'public,no-cache'}, compress: true },
+};
+
 /**
  * Performs a gzip compression with the max compression level.
  * @private
@@ -103,131 +118,1735 @@ const gz=async uncompressed=>{
 };
 
 /**
- * Performs a brotli compression with the max compression level.
+ * Performs a brotli compression with the max compression level.
+ * @private
+ * @param {Buffer} uncompressed
+ * @param {boolean} isText
+ * @returns {Promise<Buffer>}
+ */
+const br=async (uncompressed,isText)=>{
+  return new Promise((resolve)=>{
+    const mode=isText?zlib.constants.BROTLI_MODE_TEXT:zlib.constants.BROTLI_MODE_GENERIC;
+    const options={
+      params: {
+        [ zlib.constants.BROTLI_PARAM_MODE ]: mode,
+        [ zlib.constants.BROTLI_PARAM_QUALITY ]: zlib.constants.BROTLI_MAX_QUALITY,
+        [ zlib.constants.BROTLI_PARAM_SIZE_HINT ]: uncompressed.length
+      }
+    };
+    zlib.brotliCompress(uncompressed, options, (err,compressed)=>resolve(compressed))
+  });
+};
+
+/**
+ * Performs a zstd compression with a high compression level.
+ * zstd is only supported by recent versions of node (zlib.zstdCompress).
+ * @private
+ * @param {Buffer} uncompressed
+ * @returns {Promise<Buffer>}
+ */
+const zstd=async uncompressed=>{
+  return new Promise((resolve)=>{
+    const options={
+      params: {
+        [ zlib.constants.ZSTD_c_compressionLevel ]: 19,
+        [ zlib.constants.ZSTD_c_checksumFlag ]: 1
+      },
+      pledgedSrcSize: uncompressed.length
+    };
+    zlib.zstdCompress(uncompressed, options, (err,compressed)=>resolve(compressed))
+  });
+};
+
+/**
+ * Finds out if the content is plain text or not from the content type.
+ * @private
+ * @param {Headers} headers
+ * @returns {boolean}
+ */
+const isText=headers=>{
+  const contentType=headers['Content-Type'];
+  return contentType.indexOf('text/')===0 ||
+         contentType.indexOf('json')>0 ||
+         contentType.indexOf('xml')>0;
+};
+
+/**
+ * Formats a sha256 digest as a strong (quoted) entity tag.
+ * @private
+ * @param {Hash} hash
+ * @returns {string}
+ */
+const entityTag=hash=>`"${hash.digest('base64').replace(/[/]/g,'-').replace(/[=]/g,'')}"`;
+
+/**
+ * Calculates the ETag value from the resource content.
+ * @private
+ * @param {Buffer} data
+ * @returns {string}
+ */
+const etag=data=>entityTag(crypto.createHash('sha256').update(data));
+
+/**
+ * Calculates the ETag value from the content of a file, without loading it in memory.
+ * @private
+ * @param {string} path
+ * @returns {Promise<string>}
+ */
+const fileEtag=path=>new Promise((resolve,reject)=>{
+  const hash=crypto.createHash('sha256');
+  createReadStream(path).
+    on('error',reject).
+    on('data',it=>hash.update(it)).
+    on('end',()=>resolve(entityTag(hash)));
+});
+
+/**
+ * Returns the ETag of an encoded representation, derived from the ETag of the resource content,
+ * so that each encoding has its own ETag.
+ * @private
+ * @param {string} tag
+ * @param {Encodings} encoding
+ * @returns {string}
+ */
+const encodedEtag=(tag,encoding)=>{
+  return encoding===Encodings.identity?tag:`${tag.substring(0,tag.length-1)}-${encoding}"`;
+};
+
+/**
+ * Calculates the sha256 and sha384 integrity values (for the integrity attribute) of a content,
+ * or of a file without loading it in memory.
+ * @private
+ * @param {Buffer|string} content the content, or the path of the file
+ * @returns {Promise<{sha256:string,sha384:string}>}
+ */
+const integrityDigests=content=>new Promise((resolve,reject)=>{
+  const hashes={ sha256: crypto.createHash('sha256'), sha384: crypto.createHash('sha384') };
+  const update=it=>Object.values(hashes).forEach(hash=>hash.update(it));
+  const digests=()=>resolve({
+    sha256: `sha256-${hashes.sha256.digest('base64')}`,
+    sha384: `sha384-${hashes.sha384.digest('base64')}`
+  });
+  if(Buffer.isBuffer(content)){
+    update(content);
+    return digests();
+  }
+  createReadStream(content).
+    on('error',reject).
+    on('data',update).
+    on('end',digests);
+});
+
+/**
+ * Resolves the url of a subresource relative to the path of the page, or returns null if it's not a same-origin url.
+ * @private
+ * @param {string} url
+ * @param {string} page the path of the page
+ * @returns {?string}
+ */
+const sameOriginPath=(url,page)=>{
+  if(/^(?:[a-z][a-z0-9+.-]*:|[/\\]{2})/i.test(url.trim())) return null;
+  try{
+    return new URL(url,`http://localhost${page}`).pathname;
+  }
+  catch(err){
+    return null;
+  }
+};
+
+/**
+ * Matches the script and link tags of an html page, with their name, their attributes and the end of the tag.
+ * @private
+ * @type {RegExp}
+ */
+const subresourceTags=/<(script|link)\b((?:[^>"']|"[^"]*"|'[^']*')*?)(\s*[/]?)>/gi;
+
+/**
+ * Parses the attributes of a tag. The names are lower case.
+ * @private
+ * @param {string} attributes
+ * @returns {Object<string,string>}
+ */
+const tagAttributes=attributes=>{
+  const values={};
+  attributes.replace(/([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g,(it,key,...quoted)=>{
+    values[key.toLowerCase()]=quoted.slice(0,3).find(it=>it!==undefined)||'';
+  });
+  return values;
+};
+
+/**
+ * Adds the integrity attribute to the script and stylesheet tags that don't already have one.
+ * @private
+ * @param {string} html
+ * @param {function(string):?string} integrity returns the integrity value for the url of the tag
+ * @returns {string}
+ */
+const subresourceIntegrity=(html,integrity)=>{
+  return html.replace(subresourceTags,(tag,name,attributes,end)=>{
+    const values=tagAttributes(attributes);
+    if(values.integrity!==undefined) return tag;
+    const url=name.toLowerCase()==='script'?values.src:
+              (values.rel||'').toLowerCase().split(/\s+/).indexOf('stylesheet')!==-1?values.href:null;
+    const value=url?integrity(url):null;
+    return value?`<${name}${attributes} integrity="${value}"${end}>`:tag;
+  });
+};
+
+/**
+ * Lists the subresources of an html page that should be preloaded:
+ * the stylesheets, the module scripts and the resources of the preload links (fonts for instance).
+ * @private
+ * @param {string} html
+ * @returns {Array<{url:string,rel:string,as?:string,type?:string,crossorigin?:string}>}
+ */
+const preloadLinks=html=>{
+  const links=[];
+  html.replace(subresourceTags,(tag,name,attributes)=>{
+    const values=tagAttributes(attributes);
+    const rel=(values.rel||'').toLowerCase().split(/\s+/);
+    if(name.toLowerCase()==='script'){
+      if(values.src&&(values.type||'').toLowerCase()==='module') links.push({ url: values.src, rel: 'modulepreload' });
+    }
+    else if(values.href&&rel.indexOf('stylesheet')!==-1) links.push({ url: values.href, rel: 'preload', as: 'style' });
+    else if(values.href&&(rel.indexOf('preload')!==-1||rel.indexOf('modulepreload')!==-1)){
+      const link={ url: values.href, rel: rel.indexOf('preload')!==-1?'preload':'modulepreload' };
+      [ 'as','type','crossorigin' ].filter(it=>values[it]!==undefined).forEach(it=>link[it]=values[it]);
+      // Fonts are always fetched in cors mode.
+      if(link.as==='font'&&link.crossorigin===undefined) link.crossorigin='';
+      links.push(link);
+    }
+    return tag;
+  });
+  return links;
+};
+
+/**
+ * Formats a preload link as a Link header value.
+ * @private
+ * @param {string} path the resolved path of the resource
+ * @param {{rel:string,as?:string,type?:string,crossorigin?:string}} link
+ * @returns {string}
+ */
+const linkValue=(path,link)=>[
+  `<${path}>`,
+  `rel=${link.rel}`,
+  ...link.as?[ `as=${link.as}` ]:[],
+  ...link.type?[ `type="${link.type}"` ]:[],
+  ...link.crossorigin===undefined?[]:[ link.crossorigin?`crossorigin=${link.crossorigin}`:'crossorigin' ]
+].join('; ');
+
+/**
+ * The format of the Link values accepted by response.writeEarlyHints:
+ * the parameter values can't have spaces, semicolons or quotes, even quoted.
+ * @private
+ * @type {RegExp}
+ */
+const earlyHintsLinkPattern=/^<[^>]*>(?:\s*;\s*[^;"\s]+(?:=(")?[^;"\s]*\1)?)*$/;
+
+/**
+ * Supported encodings.
+ * @private
+ * @readonly
+ * @enum {string}
+ */
+const Encodings={
+  identity: 'identity',
+  gzip: 'gzip',
+  brotli: 'br',
+  zstd: 'zstd'
+};
+
+/**
+ * Encodings of the precompressed sidecar files, by file extension.
+ * @private
+ * @type {Object<string,Encodings>}
+ */
+const sidecarEncodings={
+  gz: Encodings.gzip,
+  br: Encodings.brotli,
+  zst: Encodings.zstd
+};
+
+/**
+ * The name of the manifest file of an exported directory.
+ * @private
+ * @type {string}
+ */
+const exportManifest='_static.json';
+
+/**
+ * Parses the weighted list of an Accept-* header value into a map of values to q-values.
+ * Values are lowercased, invalid q-values are treated as 0.
+ * @private
+ * @param {string} header
+ * @returns {Map<string,number>}
+ */
+const qualityValues=header=>{
+  const values=new Map();
+  for(const it of header.split(',')){
+    const [ value, ...params ]=it.split(';').map(it=>it.trim());
+    if(!value) continue;
+    const q=params.map(it=>/^q\s*=\s*([0-9.]+)$/i.exec(it)).find(it=>it);
+    const quality=q?parseFloat(q[1]):1;
+    values.set(value.toLowerCase(),quality>=0&&quality<=1?quality:0);
+  }
+  return values;
+};
+
+/**
+ * Returns the q-value of a media type from the parsed Accept header, taking wildcards into account.
+ * @private
+ * @param {Map<string,number>} values
+ * @param {string} type
+ * @returns {number}
+ */
+const mediaTypeQuality=(values,type)=>{
+  if(values.has(type)) return values.get(type);
+  const range=`${type.substring(0,type.indexOf('/'))}/*`;
+  if(values.has(range)) return values.get(range);
+  return values.get('*/*')||0;
+};
+
+/**
+ * Content types of the image variants, by file extension, in order of preference.
+ * @private
+ * @type {Object<string,string>}
+ */
+const variantTypes={
+  avif: 'image/avif',
+  webp: 'image/webp'
+};
+
+/**
+ * Returns the best image variant for the Accept header, or null if the original image should be used.
+ * A variant is only used if its type is explicitly listed, with a q-value at least as high as the one of the original.
+ * @private
+ * @param {IncomingHttpHeaders} headers
+ * @param {{headers:ResponseHeaders,variants:Array<{headers:ResponseHeaders}>}} entry
+ * @returns {?{headers:ResponseHeaders}}
+ */
+const bestVariant=(headers,entry)=>{
+  const accept=headers['accept'];
+  if(!accept) return null;
+  const values=qualityValues(accept);
+  const original=mediaTypeQuality(values,entry.headers['Content-Type']);
+  let best=null;
+  let bestQuality=0;
+  for(const variant of entry.variants){
+    const quality=values.get(variant.headers['Content-Type'])||0;
+    if(quality>bestQuality&&quality>=original){
+      best=variant;
+      bestQuality=quality;
+    }
+  }
+  return best;
+};
+
+/**
+ * Chooses the localized version of an entry for the Accept-Language header, and returns its language and its entry.
+ * Language ranges match the tags with the same prefix (`fr` matches `fr-ca`) and the more generic tags
+ * (`fr-ca` matches `fr`). The entry itself is in the default language, and it is used when none of the languages
+ * is acceptable.
+ * @private
+ * @param {?string} header
+ * @param {{data?:Data,file?:SourceFile,languages:Object<string,Object>}} entry
+ * @param {string} defaultLanguage
+ * @returns {Array} the language and the entry
+ */
+const bestLanguage=(header,entry,defaultLanguage)=>{
+  const candidates=Object.entries(entry.languages).sort((a,b)=>a[0]<b[0]?-1:1);
+  candidates.unshift([ defaultLanguage, entry ]);
+  const fallback=candidates[0];
+  if(!header) return fallback;
+  const values=qualityValues(header);
+  let best=fallback;
+  let bestQuality=0;
+  for(const candidate of candidates){
+    const tag=candidate[0];
+    const matching=[...values.entries()].filter(([ range ])=>{
+      return range===tag||tag.indexOf(`${range}-`)===0||range.indexOf(`${tag}-`)===0;
+    });
+    const quality=matching.length>0?Math.max(...matching.map(it=>it[1])):(values.get('*')||0);
+    if(quality>bestQuality){
+      best=candidate;
+      bestQuality=quality;
+    }
+  }
+  return best;
+};
+
+/**
+ * Finds out if the client prefers json over html from the Accept header.
+ * @private
+ * @param {IncomingHttpHeaders} headers
+ * @returns {boolean}
+ */
+const prefersJson=headers=>{
+  const accept=headers['accept'];
+  if(!accept) return false;
+  const values=qualityValues(accept);
+  return mediaTypeQuality(values,'application/json')>mediaTypeQuality(values,'text/html');
+};
+
+/**
+ * Finds out if an entry is an html page.
+ * @private
+ * @param {{headers:ResponseHeaders}} entry
+ * @returns {boolean}
+ */
+const isHtml=entry=>(entry.headers['Content-Type']||'').indexOf('text/html')===0;
+
+/**
+ * Returns the value of a cookie from the Cookie header, or null if it's not there.
+ * @private
+ * @param {?string} header
+ * @param {string} name
+ * @returns {?string}
+ */
+const cookieValue=(header,name)=>{
+  const cookie=(header||'').split(';').map(it=>it.trim()).find(it=>it.substring(0,it.indexOf('='))===name);
+  return cookie?cookie.substring(cookie.indexOf('=')+1):null;
+};
+
+/**
+ * Finds out if a request looks like a page navigation:
+ * a GET or HEAD request for a path without a file extension, from a client that accepts html.
+ * @private
+ * @param {IncomingMessage|Http2ServerRequest} request
+ * @param {string} path
+ * @returns {boolean}
+ */
+const isNavigation=(request,path)=>{
+  const method=request.method.toLowerCase();
+  if(method!=='get'&&method!=='head') return false;
+  if(path.substring(path.lastIndexOf('/')+1).indexOf('.')!==-1) return false;
+  const accept=request.headers['accept'];
+  return !accept||mediaTypeQuality(qualityValues(accept),'text/html')>0;
+};
+
+/**
+ * Compiles a path pattern into a regular expression.
+ * `*` matches any sequence of characters (including slashes) and `:name` matches a single path segment,
+ * captured in the named group with the same name.
+ * @private
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+const pathPattern=pattern=>{
+  // Only the first splat is captured since group names must be unique.
+  let splat=false;
+  const source=pattern.split(/(\*+|:[A-Za-z_][A-Za-z0-9_]*)/).map(it=>{
+    if(it.charAt(0)==='*'){
+      if(splat) return '.*';
+      splat=true;
+      return '(?<splat>.*)';
+    }
+    if(it.charAt(0)===':') return `(?<${it.substring(1)}>[^/]+)`;
+    return it.replace(/[.*+?^${}()|[\]\\]/g,'\\$&');
+  });
+  return new RegExp(`^${source.join('')}$`);
+};
+
+/**
+ * @typedef {Object<string,*>} HeaderRule
+ * @property {string} path the path pattern (relative to the prefix)
+ * @property {Object<string,?string>} headers the headers to add or override, or to remove (null value)
+ */
+
+/**
+ * Parses the content of a `_headers` file.
+ * Each rule starts with a path pattern on its own line, followed by indented `Name: value` lines.
+ * `! Name` removes a header, and `#` starts a comment.
+ * @private
+ * @param {string} text
+ * @returns {HeaderRule[]}
+ */
+const parseHeadersFile=text=>{
+  const rules=[];
+  let rule=null;
+  for(const line of text.split(/\r?\n/)){
+    const it=line.trim();
+    if(!it||it.charAt(0)==='#') continue;
+    if(!/^\s/.test(line)){
+      rule={ path: it, headers: {} };
+      rules.push(rule);
+      continue;
+    }
+    if(!rule) continue;
+    if(it.charAt(0)==='!'){
+      rule.headers[it.substring(1).trim()]=null;
+      continue;
+    }
+    const i=it.indexOf(':');
+    if(i<=0) continue;
+    const name=it.substring(0,i).trim();
+    const value=it.substring(i+1).trim();
+    rule.headers[name]=rule.headers[name]?`${rule.headers[name]}, ${value}`:value;
+  }
+  return rules;
+};
+
+/**
+ * @typedef {Object<string,*>} RedirectRule
+ * @property {string} from the path pattern (relative to the prefix)
+ * @property {string} to the target path (relative to the prefix) or url, with the placeholders of the pattern
+ * @property {number} [status=301] 301, 302, 307 or 308 for a redirect, 200 for an internal rewrite
+ */
+
+/**
+ * Parses the content of a `_redirects` file.
+ * Each line has a path pattern, a target and an optional status code. `#` starts a comment.
+ * @private
+ * @param {string} text
+ * @returns {RedirectRule[]}
+ */
+const parseRedirectsFile=text=>{
+  return text.split(/\r?\n/).map(it=>it.replace(/#.*$/,'').trim()).filter(it=>it).map(line=>{
+    const [ from,to,status ]=line.split(/\s+/);
+    return { from: from, to: to, status: status?parseInt(status):301 };
+  }).filter(it=>it.to&&[ 200, 301, 302, 307, 308 ].indexOf(it.status)!==-1);
+};
+
+/**
+ * Merges headers into the target, replacing the existing headers with the same name regardless of the case.
+ * Null values remove the header, unless they are kept to combine header rules.
+ * @private
+ * @param {ResponseHeaders} target
+ * @param {?Object<string,?string>} headers
+ * @param {boolean} [keepNulls=false]
+ * @returns {ResponseHeaders}
+ */
+const mergeHeaders=(target,headers,keepNulls=false)=>{
+  if(!headers) return target;
+  for(const [ name,value ] of Object.entries(headers)){
+    const lowerCase=name.toLowerCase();
+    Object.keys(target).filter(it=>it.toLowerCase()===lowerCase).forEach(it=>delete target[it]);
+    if(value!==null||keepNulls) target[name]=value;
+  }
+  return target;
+};
+
+/**
+ * Escapes the html special characters.
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml=text=>text.replace(/[&<>"']/g,it=>`&#${it.charCodeAt(0)};`);
+
+/**
+ * @typedef {Object<string,*>} ListingItem
+ * @property {string} name
+ * @property {?number} size (null for directories)
+ * @property {string} type the content type, or "directory"
+ * @property {string} modified the modification date (ISO 8601)
+ */
+
+/**
+ * Generates the html page of a directory listing. The columns can be sorted by clicking on their header.
+ * @private
+ * @param {string} path the url path of the directory, with the trailing slash
+ * @param {ListingItem[]} items
+ * @param {boolean} parent whether to include a link to the parent directory
+ * @returns {string}
+ */
+const listingHtml=(path,items,parent)=>{
+  const title=escapeHtml(`Index of ${path}`);
+  const rows=items.map(it=>{
+    const href=encodeURIComponent(it.name)+(it.size===null?'/':'');
+    const name=escapeHtml(it.name)+(it.size===null?'/':'');
+    return `<tr><td data-value="${escapeHtml(it.name)}"><a href="${href}">${name}</a></td>`+
+           `<td data-value="${it.size===null?-1:it.size}">${it.size===null?'':it.size}</td>`+
+           `<td data-value="${escapeHtml(it.type)}">${escapeHtml(it.type)}</td>`+
+           `<td data-value="${it.modified}">${it.modified.replace('T',' ').substring(0,19)}</td></tr>`;
+  });
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+</head>
+<body>
+<h1>${title}</h1>
+${parent?'<p><a href="../">../</a></p>\n':''}<table>
+<thead><tr><th>Name</th><th data-numeric="true">Size</th><th>Type</th><th>Modified</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+<script>
+document.querySelectorAll('th').forEach((th,i)=>th.addEventListener('click',()=>{
+  const ascending=th.dataset.order!=='asc';
+  document.querySelectorAll('th').forEach(it=>delete it.dataset.order);
+  th.dataset.order=ascending?'asc':'desc';
+  const tbody=document.querySelector('tbody');
+  [...tbody.rows].sort((a,b)=>{
+    const x=a.cells[i].dataset.value,y=b.cells[i].dataset.value;
+    const c=th.dataset.numeric?x-y:x.localeCompare(y);
+    return ascending?c:-c;
+  }).forEach(it=>tbody.appendChild(it));
+}));
+</script>
+</body>
+</html>
+`;
+};
+
+/**
+ * Returns the best supported encoding among the available ones (RFC 9110 section 12.5.3),
+ * or null if none of them is acceptable.
+ * When several encodings have the same q-value, the order of preference is br, zstd, gzip and then identity.
+ * @private
+ * @param {IncomingHttpHeaders} headers
+ * @param {Data} data
+ * @returns {?Encodings}
+ */
+const bestSupportedEncoding=(headers,data)=>{
+  const acceptEncodingHeader=headers['accept-encoding'];
+  // Without the header, any encoding is acceptable but the client probably doesn't expect one.
+  if(acceptEncodingHeader===undefined) return Encodings.identity;
+  const values=qualityValues(acceptEncodingHeader);
+  if(values.has('x-gzip')&&!values.has(Encodings.gzip)) values.set(Encodings.gzip,values.get('x-gzip'));
+  const any=values.get('*');
+  const weight=encoding=>{
+    if(values.has(encoding)) return values.get(encoding);
+    if(any!==undefined) return any;
+    // The identity encoding is acceptable unless it is explicitly refused, but it comes last.
+    return encoding===Encodings.identity?0.0001:0;
+  };
+  let best=null;
+  let bestWeight=0;
+  for(const encoding of [ Encodings.brotli, Encodings.zstd, Encodings.gzip, Encodings.identity ]){
+    if(!data||!data[encoding]) continue;
+    const w=weight(encoding);
+    if(w>bestWeight){
+      best=encoding;
+      bestWeight=w;
+    }
+  }
+  return best;
+};
+
+/**
+ * Compares the sizes and modification times of two sets of sidecar files.
+ * @private
+ * @param {?Object<Encodings,SourceFile>} a
+ * @param {?Object<Encodings,SourceFile>} b
+ * @returns {boolean}
+ */
+const sameSidecars=(a,b)=>{
+  const keys=Object.keys(a||{});
+  if(keys.length!==Object.keys(b||{}).length) return false;
+  return keys.every(it=>b[it]&&b[it].size===a[it].size&&b[it].mtime===a[it].mtime);
+};
+
+/**
+ * Returns the compressed data from the compression cache directory,
+ * or compresses it and stores the result in the cache directory.
+ * @private
+ * @param {?string} dir the compression cache directory, or null to always compress
+ * @param {string} key the key identifying the uncompressed content
+ * @param {Encodings} encoding
+ * @param {function():Promise<Buffer>} compress
+ * @returns {Promise<Buffer>}
+ */
+const cachedCompression=async (dir,key,encoding,compress)=>{
+  if(!dir) return compress();
+  const path=`${dir}/${key}.${encoding}`;
+  try{
+    return await fs.readFile(path);
+  }
+  catch(err){
+    if(err.code!=='ENOENT') throw err;
+  }
+  const compressed=await compress();
+  await fs.mkdir(dir,{ recursive: true });
+  // The data is written to a temporary file first so that a partial file can never be read.
+  const tmp=`${path}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+  await fs.writeFile(tmp,compressed);
+  await fs.rename(tmp,path);
+  return compressed;
+};
+
+/**
+ * Returns the path relative to a prefix ("/" for the prefix itself), or null if the path is not under the prefix.
+ * @private
+ * @param {string} path
+ * @param {string} prefix
+ * @returns {?string}
+ */
+const relativePath=(path,prefix)=>{
+  if(path===prefix) return '/';
+  return path.indexOf(`${prefix}/`)===0?path.substring(prefix.length):null;
+};
+
+/**
+ * Reads a text file of a root directory or archive, or returns null if it doesn't exist.
+ * @private
+ * @param {string} root
+ * @param {string} relative
+ * @param {ArchiveEntry[]} [entries] the entries of the archive, if they have already been read
+ * @returns {Promise<?string>}
+ */
+const readTextFile=async (root,relative,entries)=>{
+  try{
+    return (await readRootFile(root,relative,entries)).toString('utf8');
+  }
+  catch(err){
+    if(err.code!=='ENOENT') throw err;
+    return null;
+  }
+};
+
+/**
+ * @typedef {Object<string,*>} ArchiveEntry
+ * @property {string} name the path inside the archive, without leading or trailing slash
+ * @property {boolean} directory
+ * @property {number} size the uncompressed size
+ * @property {number} mtime the modification date (in ms)
+ * @property {function():Buffer} content returns the uncompressed content
+ * @property {?function():Buffer} gzip returns the content as gzip data, when it can be derived from the archive data
+ */
+
+/**
+ * Returns the format of an archive from its file name: zip, tar or tgz (gzipped tar), or null if it isn't an archive.
+ * @private
+ * @param {string} path
+ * @returns {?string}
+ */
+const archiveFormat=path=>{
+  const match=/[.](zip|tar|tar[.]gz|tgz)$/i.exec(path);
+  if(!match) return null;
+  const ext=match[1].toLowerCase();
+  return ext==='zip'||ext==='tar'?ext:'tgz';
+};
+
+/**
+ * Wraps raw deflate data into the gzip format (RFC 1952).
+ * @private
+ * @param {Buffer} deflated
+ * @param {number} crc32 the CRC-32 of the uncompressed data
+ * @param {number} size the uncompressed size
+ * @returns {Buffer}
+ */
+const gzipFromDeflate=(deflated,crc32,size)=>{
+  const trailer=Buffer.alloc(8);
+  trailer.writeUInt32LE(crc32>>>0,0);
+  trailer.writeUInt32LE(size%0x100000000,4);
+  return Buffer.concat([ Buffer.from([ 0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 0xff ]), deflated, trailer ]);
+};
+
+/**
+ * Parses the central directory of a zip archive. Stored and deflated entries are supported.
+ * @private
+ * @param {Buffer} buffer
+ * @returns {ArchiveEntry[]}
+ */
+const parseZip=buffer=>{
+  // The end of central directory record is at the end, followed by a comment of at most 65535 bytes.
+  let end=-1;
+  for(let i=buffer.length-22;i>=Math.max(0,buffer.length-22-65535);--i){
+    if(buffer.readUInt32LE(i)===0x06054b50){
+      end=i;
+      break;
+    }
+  }
+  if(end===-1) throw new Error('Invalid zip archive');
+  const count=buffer.readUInt16LE(end+10);
+  let offset=buffer.readUInt32LE(end+16);
+  if(offset===0xffffffff) throw new Error('Zip64 archives are not supported');
+  const entries=[];
+  for(let i=0;i<count;++i){
+    if(buffer.readUInt32LE(offset)!==0x02014b50) throw new Error('Invalid zip archive');
+    const flags=buffer.readUInt16LE(offset+8);
+    const method=buffer.readUInt16LE(offset+10);
+    const time=buffer.readUInt16LE(offset+12);
+    const date=buffer.readUInt16LE(offset+14);
+    const crc32=buffer.readUInt32LE(offset+16);
+    const compressedSize=buffer.readUInt32LE(offset+20);
+    const size=buffer.readUInt32LE(offset+24);
+    const nameLength=buffer.readUInt16LE(offset+28);
+    const extraLength=buffer.readUInt16LE(offset+30);
+    const commentLength=buffer.readUInt16LE(offset+32);
+    const local=buffer.readUInt32LE(offset+42);
+    const name=buffer.toString('utf8',offset+46,offset+46+nameLength);
+    offset+=46+nameLength+extraLength+commentLength;
+    // Encrypted entries and unsupported compression methods are skipped.
+    if((flags&1)!==0||(method!==0&&method!==8)) continue;
+    const start=local+30+buffer.readUInt16LE(local+26)+buffer.readUInt16LE(local+28);
+    const data=buffer.subarray(start,start+compressedSize);
+    entries.push({
+      name: name.replace(/^[.]?[/]+/,'').replace(/[/]+$/,''),
+      directory: name.charAt(name.length-1)==='/',
+      size: size,
+      mtime: new Date(1980+(date>>9),((date>>5)&15)-1,date&31,time>>11,(time>>5)&63,(time&31)*2).getTime(),
+      content: ()=>method===0?Buffer.from(data):zlib.inflateRawSync(data),
+      gzip: method===8?()=>gzipFromDeflate(data,crc32,size):null
+    });
+  }
+  return entries;
+};
+
+/**
+ * Parses a tar archive (ustar, with the pax and GNU long name extensions). Only files and directories are kept.
+ * @private
+ * @param {Buffer} buffer
+ * @returns {ArchiveEntry[]}
+ */
+const parseTar=buffer=>{
+  const entries=[];
+  const text=(offset,length)=>{
+    const it=buffer.subarray(offset,offset+length);
+    const i=it.indexOf(0);
+    return it.toString('utf8',0,i===-1?length:i);
+  };
+  const octal=(offset,length)=>parseInt(text(offset,length).trim()||'0',8);
+  let longName=null;
+  let offset=0;
+  while(offset+512<=buffer.length){
+    if(buffer[offset]===0) break;
+    const size=octal(offset+124,12);
+    const flag=String.fromCharCode(buffer[offset+156]||48);
+    const data=buffer.subarray(offset+512,offset+512+size);
+    const prefix=text(offset+257,6)==='ustar'?text(offset+345,155):'';
+    const name=longName||(prefix?`${prefix}/${text(offset,100)}`:text(offset,100));
+    const mtime=octal(offset+136,12)*1000;
+    offset+=512+Math.ceil(size/512)*512;
+    longName=null;
+    if(flag==='L'){
+      longName=data.toString('utf8').replace(/\0.*$/s,'');
+      continue;
+    }
+    if(flag==='x'){
+      const path=/(?:^|\n)\d+ path=([^\n]*)\n/.exec(data.toString('utf8'));
+      if(path) longName=path[1];
+      continue;
+    }
+    if(flag!=='0'&&flag!=='5'&&flag!=='7') continue;
+    entries.push({
+      name: name.replace(/^[.]?[/]+/,'').replace(/[/]+$/,''),
+      directory: flag==='5',
+      size: flag==='5'?0:size,
+      mtime: mtime,
+      content: ()=>Buffer.from(data),
+      gzip: null
+    });
+  }
+  return entries;
+};
+
+/**
+ * Reads the entries of a zip, tar or gzipped tar archive.
+ * @private
+ * @param {string} path
+ * @returns {Promise<ArchiveEntry[]>}
+ */
+const readArchive=async path=>{
+  const buffer=await fs.readFile(path);
+  const format=archiveFormat(path);
+  if(format==='zip') return parseZip(buffer);
+  return parseTar(format==='tgz'?zlib.gunzipSync(buffer):buffer);
+};
+
+/**
+ * Reads a file of a root directory or archive.
+ * @private
+ * @param {string} root
+ * @param {string} relative
+ * @param {ArchiveEntry[]} [entries] the entries of the archive, if they have already been read
+ * @returns {Promise<Buffer>}
+ */
+const readRootFile=async (root,relative,entries)=>{
+  if(!archiveFormat(root)) return fs.readFile(`${root}/${relative}`);
+  const entry=(entries||await readArchive(root)).find(it=>it.name===relative&&!it.directory);
+  if(!entry) throw Object.assign(new Error(`ENOENT: ${relative} not found in ${root}`),{ code: 'ENOENT' });
+  return entry.content();
+};
+
+/**
+ * Returns the path portion of the uri.
+ * @private
+ * @param {string} uri
+ * @returns {string}
+ */
+const uriPath=uri=>{
+  const i1=uri.indexOf('?');
+  const i2=uri.indexOf('#');
+  if(i1===-1){
+    if(i2===-1) return uri;
+    return uri.substring(0,i2);
+  }
+  else if(i2===-1||i2>i1){
+    return uri.substring(0,i1);
+  }
+  else return uri.substring(0,i2);
+};
+
+/**
+ * Watches a directory and calls the listener with the path of each changed file.
+ * @private
+ * @param {string} dir
+ * @param {boolean} recursive
+ * @param {function(?string):void} listener
+ * @param {function(Error):void} errorListener called when the watcher fails and gets closed.
+ * @returns {FSWatcher}
+ */
+const watchDirectory=(dir,recursive,listener,errorListener)=>{
+  const watcher=watch(dir,{ recursive: recursive, persistent: true },(event,filename)=>{
+    listener(filename?`${dir}/${filename.toString()}`:null);
+  });
+  watcher.on('error',err=>{
+    watcher.close();
+    errorListener(err);
+  });
+  return watcher;
+};
+
+/**
+ * Watches a directory tree and calls the listener with the path of each changed file.
+ * Recursive watching is used where the platform supports it, otherwise each directory is watched individually.
+ * @private
+ * @param {string} root
+ * @param {string[]} directories
+ * @param {function(?string):void} listener
+ * @param {function(Error):void} errorListener called when a watcher fails and gets closed.
+ * @returns {{recursive:boolean,watchers:FSWatcher[]}}
+ */
+const watchTree=(root,directories,listener,errorListener)=>{
+  try{
+    return { recursive: true, watchers: [ watchDirectory(root,true,listener,errorListener) ] };
+  }
+  catch(err){
+    if(err.code!=='ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw err;
+    // Directories removed since the last synchronization are skipped.
+    const watchers=directories.map(it=>{
+      try{
+        return watchDirectory(it,false,listener,errorListener);
+      }
+      catch(err){
+        if(err.code==='ENOENT') return null;
+        throw err;
+      }
+    });
+    return { recursive: false, watchers: watchers.filter(it=>it) };
+  }
+};
+
+/**
+ * Watches a file and calls the listener with its path when it changes.
+ * The directory of the file is watched rather than the file itself, so that the watching goes on
+ * when the file is replaced (by renaming another file over it).
+ * @private
+ * @param {string} file
+ * @param {function(?string):void} listener
+ * @param {function(Error):void} errorListener called when the watcher fails and gets closed.
+ * @returns {{recursive:boolean,watchers:FSWatcher[]}}
+ */
+const watchFile=(file,listener,errorListener)=>{
+  const name=basename(file);
+  const watcher=watchDirectory(dirname(file),false,path=>{
+    if(!path||basename(path)===name) listener(file);
+  },errorListener);
+  return { recursive: true, watchers: [ watcher ] };
+};
+
+/**
+ * Finds out if a list of entity tags (If-Match or If-None-Match header value) matches an entity tag.
+ * @private
+ * @param {string} header
+ * @param {string} tag
+ * @param {boolean} weak true for the weak comparison, false for the strong comparison
+ * @returns {boolean}
+ */
+const matchesEntityTag=(header,tag,weak)=>{
+  return header.split(',').map(it=>it.trim()).some(it=>{
+    if(it==='*') return true;
+    return it===tag||(weak&&it.indexOf('W/')===0&&it.substring(2)===tag);
+  });
+};
+
+/**
+ * Evaluates the preconditions of a GET or HEAD request (RFC 9110 section 13.2.2).
+ * @private
+ * @param {IncomingHttpHeaders} headers
+ * @param {string} tag the ETag of the selected representation
+ * @param {number} lastModified the modification date (in ms)
+ * @returns {?number} 412 (Precondition Failed), 304 (Not Modified), or null if the request should be processed
+ */
+const preconditions=(headers,tag,lastModified)=>{
+  const ifMatch=headers['if-match'];
+  if(ifMatch!==undefined){
+    if(!matchesEntityTag(ifMatch,tag,false)) return 412;
+  }
+  else{
+    const ifUnmodifiedSince=Date.parse(headers['if-unmodified-since']||'');
+    if(!isNaN(ifUnmodifiedSince)&&lastModified>ifUnmodifiedSince) return 412;
+  }
+  const ifNoneMatch=headers['if-none-match'];
+  if(ifNoneMatch!==undefined){
+    if(matchesEntityTag(ifNoneMatch,tag,true)) return 304;
+  }
+  else{
+    const ifModifiedSince=Date.parse(headers['if-modified-since']||'');
+    if(!isNaN(ifModifiedSince)&&lastModified<=ifModifiedSince) return 304;
+  }
+  return null;
+};
+
+/**
+ * Finds out if the If-Range header value, if any, matches the identity representation.
+ * Entity tags use the strong comparison, dates need to be an exact match.
+ * @private
+ * @param {?string} ifRange
+ * @param {string} tag
+ * @param {number} lastModified
+ * @returns {boolean}
+ */
+const matchesIfRange=(ifRange,tag,lastModified)=>{
+  if(ifRange===undefined) return true;
+  if(ifRange.charAt(0)==='"'||ifRange.indexOf('W/')===0) return ifRange===tag;
+  return Date.parse(ifRange)===lastModified;
+};
+
+/**
+ * Parses an IPv4 or IPv6 address into its numeric value. IPv4-mapped IPv6 addresses are treated as IPv4 addresses.
+ * @private
+ * @param {string} address
+ * @returns {?{version:number,value:BigInt}} null if the address is invalid
+ */
+const parseAddress=address=>{
+  const text=address.replace(/%.*$/,'').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i,'$1');
+  const version=net.isIP(text);
+  if(version===4){
+    return { version: 4, value: text.split('.').reduce((value,it)=>(value<<8n)+BigInt(it),0n) };
+  }
+  if(version!==6) return null;
+  // An embedded IPv4 address is converted to the last two groups.
+  const ipv4=/(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  const ipv6=ipv4?text.substring(0,ipv4.index)+
+                  `${((ipv4[1]<<8)|ipv4[2]).toString(16)}:${((ipv4[3]<<8)|ipv4[4]).toString(16)}`:text;
+  const [ head,tail ]=ipv6.split('::');
+  const start=head?head.split(':'):[];
+  const end=tail===undefined?[]:(tail?tail.split(':'):[]);
+  const groups=[ ...start, ...Array(8-start.length-end.length).fill('0'), ...end ];
+  return { version: 6, value: groups.reduce((value,it)=>(value<<16n)+BigInt(parseInt(it,16)),0n) };
+};
+
+/**
+ * Creates a function that checks if an address belongs to one of the networks of a CIDR list
+ * (`10.0.0.0/8`, `fd00::/8`, or a single address).
+ * @private
+ * @param {string[]} list
+ * @returns {function(string):boolean}
+ */
+const addressMatcher=list=>{
+  const networks=list.map(it=>{
+    const [ address,bits ]=it.split('/');
+    const parsed=parseAddress(address.trim());
+    if(!parsed) throw new Error(`Invalid network: ${it}`);
+    const size=parsed.version===4?32:128;
+    const shift=BigInt(size-(bits===undefined?size:parseInt(bits)));
+    return { version: parsed.version, shift: shift, value: parsed.value>>shift };
+  });
+  return address=>{
+    const parsed=address&&parseAddress(address);
+    if(!parsed) return false;
+    return networks.some(it=>it.version===parsed.version&&(parsed.value>>it.shift)===it.value);
+  };
+};
+
+/**
+ * Returns the size of the content of a cache entry, or null for redirections.
+ * @private
+ * @param {{data?:Data,file?:SourceFile}} entry
+ * @returns {?number}
+ */
+const entrySize=entry=>{
+  if(entry.data) return entry.data.identity.length;
+  return entry.file?entry.file.size:null;
+};
+
+/**
+ * Compares two strings in constant time.
+ * @private
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual=(a,b)=>{
+  const hash=it=>crypto.createHash('sha256').update(it).digest();
+  return crypto.timingSafeEqual(hash(a),hash(b));
+};
+
+/**
+ * @typedef {Object<string,*>} Metric
+ * @property {string} name
+ * @property {string} help
+ * @property {string} type counter, gauge or histogram
+ * @property {function():string[]} lines the sample lines
+ */
+
+/**
+ * Formats a set of labels for the Prometheus text format.
  * @private
- * @param {Buffer} uncompressed
- * @param {boolean} isText
- * @returns {Promise<Buffer>}
+ * @param {Object<string,string|number>} labels
+ * @returns {string}
  */
-const br=async (uncompressed,isText)=>{
-  return new Promise((resolve)=>{
-    const mode=isText?zlib.constants.BROTLI_MODE_TEXT:zlib.constants.BROTLI_MODE_GENERIC;
-    const options={
-      params: {
-        [ zlib.constants.BROTLI_PARAM_MODE ]: mode,
-        [ zlib.constants.BROTLI_PARAM_QUALITY ]: zlib.constants.BROTLI_MAX_QUALITY,
-        [ zlib.constants.BROTLI_PARAM_SIZE_HINT ]: uncompressed.length
-      }
-    };
-    zlib.brotliCompress(uncompressed, options, (err,compressed)=>resolve(compressed))
-  });
+const labelText=labels=>{
+  const names=Object.keys(labels);
+  if(names.length===0) return '';
+  const escape=it=>`${it}`.replace(/[\\"]/g,'\\$&').replace(/\n/g,'\\n');
+  return `{${names.map(it=>`${it}="${escape(labels[it])}"`).join(',')}}`;
 };
 
 /**
- * Finds out if the content is plain text or not from the content type.
+ * Creates a registry of in-process metrics (counters, gauges and histograms)
+ * that can be rendered in the Prometheus text exposition format.
  * @private
- * @param {Headers} headers
- * @returns {boolean}
+ * @returns {{counter:function(string,string):{inc:function(Object<string,*>=,number=):void},gauge:function(string,string,function():number):void,histogram:function(string,string,number[]):{observe:function(number,Object<string,*>=):void},render:function():string}}
  */
-const isText=headers=>{
-  const contentType=headers['Content-Type'];
-  return contentType.indexOf('text/')===0 ||
-         contentType.indexOf('json')>0 ||
-         contentType.indexOf('xml')>0;
+const metricsRegistry=()=>{
+  /** @type {Metric[]} */
+  const metrics=[];
+  return {
+    counter: (name,help)=>{
+      const values=new Map();
+      metrics.push({
+        name: name, help: help, type: 'counter',
+        lines: ()=>[...values.entries()].map(([ labels,value ])=>`${name}${labels} ${value}`)
+      });
+      return {
+        inc: (labels={},value=1)=>{
+          const key=labelText(labels);
+          values.set(key,(values.get(key)||0)+value);
+        }
+      };
+    },
+    gauge: (name,help,value)=>{
+      metrics.push({ name: name, help: help, type: 'gauge', lines: ()=>[ `${name} ${value()}` ] });
+    },
+    histogram: (name,help,buckets)=>{
+      const values=new Map();
+      metrics.push({
+        name: name, help: help, type: 'histogram',
+        lines: ()=>[...values.values()].map(it=>[
+          ...buckets.map((bucket,i)=>`${name}_bucket${labelText(Object.assign({},it.labels,{ le: bucket }))} ${it.counts[i]}`),
+          `${name}_bucket${labelText(Object.assign({},it.labels,{ le: '+Inf' }))} ${it.count}`,
+          `${name}_sum${labelText(it.labels)} ${it.sum}`,
+          `${name}_count${labelText(it.labels)} ${it.count}`
+        ]).flat()
+      });
+      return {
+        observe: (value,labels={})=>{
+          const key=labelText(labels);
+          const it=values.get(key)||values.set(key,{ labels: labels, counts: buckets.map(()=>0), sum: 0, count: 0 }).get(key);
+          // Buckets are cumulative.
+          buckets.forEach((bucket,i)=>{ if(value<=bucket) ++it.counts[i]; });
+          it.sum+=value;
+          ++it.count;
+        }
+      };
+    },
+    render: ()=>metrics.map(it=>[
+      `# HELP ${it.name} ${it.help}`,
+      `# TYPE ${it.name} ${it.type}`,
+      ...it.lines()
+    ].join('\n')).join('\n')+'\n'
+  };
 };
 
 /**
- * Calculates the ETag value from the resource content.
+ * @typedef {Object<string,number>} ByteRange
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * Parses the value of a Range header against the size of the resource.
+ * Returns null if the header should be ignored (missing, unsupported unit or invalid syntax),
+ * an empty list if none of the ranges can be satisfied,
+ * or the list of satisfiable ranges (sorted, with overlapping and adjacent ranges merged).
  * @private
- * @param {Buffer} data
- * @returns {string}
+ * @param {string} header
+ * @param {number} size
+ * @returns {?ByteRange[]}
  */
-const etag=data=>{
-  const hash=crypto.createHash('sha256').update(data).digest('base64');
-  return hash.replace(/[/]/g,'-').replace(/[=]/g,'');
+const byteRanges=(header,size)=>{
+  if(!header) return null;
+  const i=header.indexOf('=');
+  if(i===-1||header.substring(0,i).trim().toLowerCase()!=='bytes') return null;
+  const ranges=[];
+  for(const spec of header.substring(i+1).split(',')){
+    const it=spec.trim();
+    if(!it) continue;
+    const match=/^(\d*)-(\d*)$/.exec(it);
+    if(!match||(!match[1]&&!match[2])) return null;
+    if(!match[1]){
+      const suffix=parseInt(match[2]);
+      if(suffix>0&&size>0) ranges.push({ start: Math.max(0,size-suffix), end: size-1 });
+      continue;
+    }
+    const start=parseInt(match[1]);
+    const end=match[2]?parseInt(match[2]):Infinity;
+    if(end<start) return null;
+    if(start<size) ranges.push({ start: start, end: Math.min(end,size-1) });
+  }
+  ranges.sort((a,b)=>a.start-b.start);
+  return ranges.reduce((merged,it)=>{
+    const last=merged[merged.length-1];
+    if(last&&it.start<=last.end+1) last.end=Math.max(last.end,it.end);
+    else merged.push(it);
+    return merged;
+  },[]);
 };
 
 /**
- * Supported encodings.
+ * Lists the parts of a multipart/byteranges body.
+ * The part headers are buffers, the part contents are the byte ranges of the resource.
  * @private
- * @readonly
- * @enum {string}
+ * @param {number} size
+ * @param {ByteRange[]} ranges
+ * @param {string} contentType
+ * @param {string} boundary
+ * @returns {Array<Buffer|ByteRange>}
  */
-const Encodings={
-  identity: 'identity',
-  gzip: 'gzip',
-  brotli: 'br'
+const multipartByteRanges=(size,ranges,contentType,boundary)=>{
+  const parts=ranges.map(it=>[
+    Buffer.from(
+      `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${it.start}-${it.end}/${size}\r\n\r\n`
+    ),
+    it
+  ]).flat();
+  return [ ...parts, Buffer.from(`\r\n--${boundary}--\r\n`) ];
 };
 
 /**
- * Returns the best supported encoding.
+ * Returns the total length of a list of parts.
  * @private
- * @param {IncomingHttpHeaders} headers
- * @returns {Encodings}
+ * @param {Array<Buffer|ByteRange>} parts
+ * @returns {number}
  */
-const bestSupportedEncoding=headers=>{
-  const acceptEncodingHeader=(headers['accept-encoding']||'').trim();
-  if(!acceptEncodingHeader) return Encodings.identity;
-  if(acceptEncodingHeader==='*') return Encodings.brotli;
-  const list=acceptEncodingHeader.split(',').map(it=>it.replace(/;.*$/g,'').trim());
-  if(list.indexOf('br')!==-1) return Encodings.brotli;
-  if(list.indexOf('gzip')!==-1) return Encodings.gzip;
-  return Encodings.identity;
-};
+const partsLength=parts=>parts.reduce((sum,it)=>sum+(Buffer.isBuffer(it)?it.length:it.end-it.start+1),0);
 
 /**
- * Returns the path portion of the uri.
+ * Writes a list of parts to the response and ends it.
+ * Byte ranges are read from the source, either the resource content or the path of the file on disk.
  * @private
- * @param {string} uri
- * @returns {string}
+ * @param {ServerResponse} response
+ * @param {Array<Buffer|ByteRange>} parts
+ * @param {Buffer|string} source
+ * @returns {Promise<void>}
  */
-const uriPath=uri=>{
-  const i1=uri.indexOf('?');
-  const i2=uri.indexOf('#');
-  if(i1===-1){
-    if(i2===-1) return uri;
-    return uri.substring(0,i2);
+const writeParts=async (response,parts,source)=>{
+  // The file stream is not closed by pipe when the client disconnects, it needs to be destroyed explicitly.
+  let current=null;
+  let closed=false;
+  const onClose=()=>{
+    closed=true;
+    if(current) current.destroy();
+  };
+  response.once('close',onClose);
+  try{
+    for(const it of parts){
+      if(closed) return;
+      if(Buffer.isBuffer(it)) response.write(it);
+      else if(Buffer.isBuffer(source)) response.write(source.subarray(it.start,it.end+1));
+      else await new Promise((resolve,reject)=>{
+        current=createReadStream(source,{ start: it.start, end: it.end }).
+          on('error',reject).
+          on('end',resolve).
+          on('close',resolve);
+        current.pipe(response,{ end: false });
+      });
+      current=null;
+    }
+    if(!closed) response.end();
   }
-  else if(i2===-1||i2>i1){
-    return uri.substring(0,i1);
+  catch(err){
+    response.destroy(err);
+  }
+  finally{
+    response.off('close',onClose);
   }
-  else return uri.substring(0,i2);
 };
 
 /**
  * @typedef {Object<Encodings,?Buffer>} Data
  */
+/**
+ * @typedef {Object<string,*>} SourceFile
+ * @property {string} path
+ * @property {number} size
+ * @property {number} mtime
+ * @property {?Object<Encodings,SourceFile>} sidecars
+ * @property {FileTypeConfiguration} [type]
+ */
+
+/**
+ * @typedef {Object<string,*>} Mount
+ * @property {string|string[]} root the directory to serve, or a list of layered directories
+ * @property {string} [prefix=""]
+ * @property {?AllowedFileTypes} allowedFileTypes
+ * @property {?Headers} headers the headers added to the headers of the files
+ */
+
 /**
  * @typedef {Object<string,string>} ResponseHeaders
  */
 
+/**
+ * @typedef {Object<string,string[]>} SyncReport
+ * @property {string[]} added
+ * @property {string[]} changed
+ * @property {string[]} removed
+ * @property {number} [generation] the id of the cache generation (with the generations option)
+ */
+
+/**
+ * @typedef {Object<string,*>} SyncEndpointOptions
+ * @property {string} [path="/sync"] the path of the endpoint (relative to the prefix)
+ * @property {string[]} [methods=["GET","POST"]]
+ * @property {string[]} [allow=["127.0.0.0/8","::1"]] the allowed networks (CIDR notation)
+ * @property {?string} [token=null] the bearer token required in the Authorization header
+ * @property {?string} [hmacSecret=null] the secret used to verify the X-Sync-Signature header
+ */
+
+/**
+ * @typedef {Object<string,*>} MetricsOptions
+ * @property {?string} [path="/metrics"] the path of the endpoint (relative to the prefix), or null to disable it
+ * @property {string[]} [allow=["127.0.0.0/8","::1"]] the allowed networks (CIDR notation)
+ * @property {number[]} [buckets] the buckets of the request duration histogram (in seconds)
+ */
+
+/**
+ * @typedef {Object<string,*>} IntegrityOptions
+ * @property {?string} [path=null] the path of the asset manifest endpoint (relative to the prefix)
+ * @property {boolean} [transform=false] whether to add the integrity attributes to the script and stylesheet tags
+ */
+
+/**
+ * @typedef {Object<string,*>} PreloadOptions
+ * @property {boolean} [earlyHints=true] whether to send a 103 Early Hints response before the page
+ * @property {boolean} [linkHeader=true] whether to add the Link header to the page response
+ * @property {Array<{path:string,earlyHints?:boolean,linkHeader?:boolean}>} [paths=[]]
+ * ordered rules to change the settings by path
+ */
+
+/**
+ * @typedef {Object<string,*>} GenerationsOptions
+ * @property {number} [keep=3] the number of generations that are kept, including the current one
+ * @property {number} [maxAge=300] how long (in seconds) a generation is kept after it's replaced
+ * @property {string} [header="X-Cache-Generation"] the response and request header with the generation id
+ * @property {?string} [cookie="cache-generation"] the name of the cookie with the generation id
+ */
+
+/**
+ * @typedef {Object<string,*>} ExportedEntry
+ * @property {string} [file] the path of the file, relative to the export directory (none for redirects)
+ * @property {number} [size] the uncompressed size
+ * @property {ResponseHeaders} headers
+ * @property {Object<Encodings,{file:string,size:number,etag:string}>} [encodings] the compressed versions
+ */
+
+/**
+ * @typedef {Object<string,*>} AssetDigest
+ * @property {number} size the uncompressed size
+ * @property {string} type the content type
+ * @property {string} sha256 the sha256 integrity value
+ * @property {string} sha384 the sha384 integrity value
+ */
+
+/**
+ * @typedef {Object<string,function>} Logger
+ * @property {function(string):void} info
+ * @property {function(Error):void} error
+ */
+
+/**
+ * @typedef {Object<string,*>} FileProcessedEvent
+ * @property {string} path the url path
+ * @property {number} size the uncompressed size
+ * @property {boolean} streamed
+ * @property {Object<Encodings,number>} encodings the size of each encoded version
+ * @property {Object<Encodings,number>} ratios the compressed to uncompressed size ratio of each compressed version
+ */
+
+/**
+ * @typedef {Object<string,*>} RequestServedEvent
+ * @property {string} method
+ * @property {string} path
+ * @property {number} status
+ * @property {Encodings} encoding
+ * @property {number} bytes the size of the response body
+ * @property {number} duration (in ms)
+ */
+
 /**
  * @typedef {Object<string,*>} DirectoryOptions
- * @property {string} [root="www"]
+ * @property {string|string[]} [root="www"] the directory (or archive) to serve, or a list of layered directories
  * @property {string} [prefix=""]
  * @property {?AllowedFileTypes} allowedFileTypes
+ * @property {number} [streamingThreshold=Infinity]
+ * @property {boolean} [watch=false]
+ * @property {number} [watchDelay=100]
+ * @property {boolean} [precompressed=false]
+ * @property {?string} [compressionCache=null]
+ * @property {boolean} [autoindex=false]
+ * @property {?string} [spaFallback=null]
+ * @property {Object<number,string>} [errorPages={}]
+ * @property {boolean} [handleNotFound=false]
+ * @property {HeaderRule[]} [headerRules=[]]
+ * @property {RedirectRule[]} [redirects=[]]
+ * @property {SyncEndpointOptions|boolean} [syncEndpoint]
+ * @property {MetricsOptions|boolean} [metrics=false]
+ * @property {?Logger} [logger=null]
+ * @property {number} [maxMemory=Infinity]
+ * @property {?Mount[]} [mounts=null]
+ * @property {boolean} [imageVariants=false]
+ * @property {{default:string,supported:?string[]}|boolean} [languages=false]
+ * @property {IntegrityOptions|boolean} [integrity=false]
+ * @property {PreloadOptions|boolean} [preload=false]
+ * @property {GenerationsOptions|boolean} [generations=false]
+ * @property {?string} [exported=null] a directory written by exportTo, served instead of the root
  */
 
 /**
  * @params {DirectoryOptions={}} options
  * @template T
- * @returns {Promise<{accept:function(request:IncomingMessage|Http2ServerRequest,response:ServerResponse,hostname:string,remoteAddress:string):T,handle:function(T)}>}
+ * @returns {Promise<EventEmitter&{accept:function(request:IncomingMessage|Http2ServerRequest,response:ServerResponse,hostname:string,remoteAddress:string):T,handle:function(T),sync:function():Promise<SyncReport>,close:function():Promise<void>,setEntry:function(string,Buffer|string,Object=):Promise<void>,removeEntry:function(string):boolean,metrics:function():?string,manifest:function():?Object<string,AssetDigest>,memoryUsage:function():{used:number,max:number,entries:number,evictions:number},exportTo:function(string):Promise<Object<string,ExportedEntry>>}>}
  */
 module.exports=async (options={})=>{
-  const localAddresses=new Set(['127.0.0.1','::1']);
   options.root=options.root || 'www';
   options.prefix=options.prefix || '';
-  options.headers=Object.assign(defaultHeaders,options.headers);
-  const root=options.root;
+  options.headers=Object.assign({},defaultHeaders,options.headers);
   const prefix=(options.prefix&&options.prefix.charAt(options.prefix.length-1)==='/') ?
                options.prefix.substring(0,options.prefix.length-1) : options.prefix;
   const disallowSharedCache=options.disallowSharedCache===true;
   const types=options.allowedFileTypes || allowedTypes;
-  /** @type {Map<string, {headers:ResponseHeaders,data?:Data}>} */
+  const exported=options.exported?options.exported.replace(/[/\\]+$/,''):null;
+  /**
+   * The mounted directories. Files in the later roots of a mount shadow the ones with the same path in the earlier roots.
+   * The paths of an exported directory already include the prefixes.
+   * @type {Array<{roots:string[],prefix:string,types:AllowedFileTypes,headers:?Headers}>}
+   */
+  const mounts=(exported?[ { root: exported } ]:options.mounts||[ { root: options.root, prefix: prefix } ]).map(it=>({
+    roots: [].concat(it.root||'www'),
+    prefix: (it.prefix||'').replace(/[/]$/,''),
+    types: it.allowedFileTypes||types,
+    headers: it.headers||null
+  }));
+  const roots=[...new Set(mounts.map(it=>it.roots).flat())];
+  const streamingThreshold=typeof options.streamingThreshold==='number'?options.streamingThreshold:Infinity;
+  const precompressed=options.precompressed===true;
+  const compressionCache=options.compressionCache||null;
+  const autoindex=options.autoindex===true;
+  const handleNotFound=options.handleNotFound===true;
+  const imageVariants=options.imageVariants===true;
+  const languages=options.languages?Object.assign({ default: 'en' },options.languages===true?{}:options.languages):null;
+  const defaultLanguage=languages?languages.default.toLowerCase():null;
+  const supportedLanguages=languages&&languages.supported?languages.supported.map(it=>it.toLowerCase()):null;
+  const integrity=options.integrity?Object.assign({
+    path: null,
+    transform: false
+  },options.integrity===true?{}:options.integrity):null;
+  const manifestPath=integrity&&integrity.path?`${prefix}/${integrity.path.replace(/^[/]+/,'')}`:null;
+  const preload=options.preload?Object.assign({
+    earlyHints: true,
+    linkHeader: true,
+    paths: []
+  },options.preload===true?{}:options.preload):null;
+  const preloadRules=preload?preload.paths.map(it=>Object.assign({},it,{ pattern: pathPattern(it.path) })):[];
+  const generations=options.generations?Object.assign({
+    keep: 3,
+    maxAge: 300,
+    header: 'X-Cache-Generation',
+    cookie: 'cache-generation'
+  },options.generations===true?{}:options.generations):null;
+  const syncEndpoint=options.syncEndpoint===false?null:Object.assign({
+    path: '/sync',
+    methods: [ 'GET', 'POST' ],
+    allow: [ '127.0.0.0/8', '::1' ],
+    token: null,
+    hmacSecret: null
+  },options.syncEndpoint);
+  const syncPath=syncEndpoint?`${prefix}/${syncEndpoint.path.replace(/^[/]+/,'')}`:null;
+  const syncAllowed=syncEndpoint?addressMatcher(syncEndpoint.allow):null;
+  const metricsOptions=options.metrics?Object.assign({
+    path: '/metrics',
+    allow: [ '127.0.0.0/8', '::1' ],
+    buckets: [ 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5 ]
+  },options.metrics===true?{}:options.metrics):null;
+  const metricsPath=metricsOptions&&metricsOptions.path?
+                    `${prefix}/${metricsOptions.path.replace(/^[/]+/,'')}`:null;
+  const metricsAllowed=metricsPath?addressMatcher(metricsOptions.allow):null;
+  const logger=options.logger||null;
+  const spaFallback=options.spaFallback?
+                    `${prefix}/${options.spaFallback.replace(/^[/]+/,'')}`.replace(/index.html$/,''):null;
+  /** @type {Map<string, {headers:ResponseHeaders,data?:Data,file?:SourceFile}>} */
   let cache=new Map();
-  const sync=async()=>{
+  /** @type {string[]} */
+  let directories=[];
+  /** @type {Map<number,{headers:ResponseHeaders,data:Data,tag:string}>} */
+  let errorPages=new Map();
+  /** @type {Array<{pattern:RegExp,to:string,status:number}>} */
+  let redirectRules=[];
+  /** @type {Array<{base:string,pattern:RegExp,headers:Object<string,?string>}>} */
+  let headerRules=[];
+  /** @type {?Object<string,AssetDigest>} */
+  let manifest=null;
+  /**
+   * The ids of the cache generations, by cache (the cache is replaced by setEntry and removeEntry).
+   * @type {WeakMap<Map,number>}
+   */
+  const generationIds=new WeakMap();
+  let generation=0;
+  /**
+   * The previous generations that are still kept, from the most recent.
+   * @type {Array<{id:number,cache:Map,expires:number}>}
+   */
+  let previousGenerations=[];
+  /**
+   * The entries added with setEntry, by path.
+   * @type {Map<string,{headers:ResponseHeaders,data:Data,virtual:boolean}>}
+   */
+  const virtualEntries=new Map();
+  /**
+   * The entries of the files that have the same path as a virtual entry, as of the last synchronization.
+   * They are served again when the virtual entry is removed.
+   * @type {Map<string,{headers:ResponseHeaders,data?:Data,file?:SourceFile}>}
+   */
+  let shadowedEntries=new Map();
+  const maxMemory=typeof options.maxMemory==='number'?options.maxMemory:Infinity;
+  /**
+   * The entries with their content in memory that can be reloaded from disk, from the least recently used,
+   * with the size of their content.
+   * @type {Map<{data?:Data,file?:SourceFile,evicted?:boolean},number>}
+   */
+  let resident=new Map();
+  let memoryUsed=0;
+  let evictions=0;
+  const handler=new EventEmitter();
+  /**
+   * Builds the data of an in-memory entry, with the compressed versions if the file type is compressible.
+   * @param {Buffer} uncompressed
+   * @param {FileTypeConfiguration} type
+   * @param {string} tag the ETag of the uncompressed content
+   * @param {Object<Encodings,Buffer>} [precompressed={}] the compressed versions that are already available
+   * @returns {Promise<Data>}
+   */
+  const encode=async (uncompressed,type,tag,precompressed={})=>{
+    const data={ identity: uncompressed };
+    if(!type.compress) return data;
+    const key=tag.replace(/["]/g,'').replace(/[+]/g,'_');
+    data.gzip=precompressed.gzip||await cachedCompression(
+      compressionCache,key,Encodings.gzip,()=>gz(uncompressed)
+    );
+    data.br=precompressed.br||await cachedCompression(
+      compressionCache,key,Encodings.brotli,()=>br(uncompressed, isText(type.headers))
+    );
+    const zstdCompressed=precompressed.zstd||(zlib.zstdCompress?await cachedCompression(
+      compressionCache,key,Encodings.zstd,()=>zstd(uncompressed)
+    ):null);
+    if(zstdCompressed) data.zstd=zstdCompressed;
+    return data;
+  };
+  /**
+   * Returns the combined headers of the header rules matching a path, or undefined if none of them matches.
+   * @param {Array<{base:string,pattern:RegExp,headers:Object<string,?string>}>} rules
+   * @param {string} path
+   * @returns {Object<string,?string>|undefined}
+   */
+  const ruleHeaders=(rules,path)=>{
+    const matching=rules.filter(it=>{
+      const relative=relativePath(path,it.base);
+      return relative!==null&&it.pattern.test(relative);
+    });
+    if(matching.length===0) return undefined;
+    const headers=matching.reduce((merged,it)=>mergeHeaders(merged,it.headers,true),{});
+    Object.keys(headers).filter(it=>it.toLowerCase()==='cache-control'&&headers[it]).forEach(it=>{
+      if(disallowSharedCache) headers[it]=headers[it].replace('public','private');
+    });
+    return headers;
+  };
+  /**
+   * Reads the precompressed sidecar files of a file.
+   * Sidecar files older than the file are ignored because they are probably stale.
+   * @param {SourceFile} file
+   * @returns {Promise<Object<Encodings,Buffer>>}
+   */
+  const readSidecars=async file=>{
+    const precompressed={};
+    await Promise.all(Object.entries(file.sidecars||{}).filter(it=>it[1].mtime>=file.mtime).map(async it=>{
+      precompressed[it[0]]=await fs.readFile(it[1].path);
+    }));
+    return precompressed;
+  };
+  /**
+   * Marks an entry as the most recently used one, and starts accounting for the size of its content.
+   * The content of the archive entries is always kept in memory: restoring it would read the whole archive again.
+   * @param {{data:Data,file?:SourceFile}} entry
+   */
+  const track=entry=>{
+    if(entry.file&&entry.file.archive) return;
+    let size=resident.get(entry);
+    if(size===undefined){
+      size=Object.values(entry.data).reduce((sum,it)=>sum+it.length,0);
+      memoryUsed+=size;
+    }
+    else resident.delete(entry);
+    resident.set(entry,size);
+  };
+  /**
+   * Drops the content of an entry. It is reloaded from disk the next time it is requested.
+   * @param {{data?:Data,evicted?:boolean}} entry
+   */
+  const release=entry=>{
+    memoryUsed-=resident.get(entry);
+    resident.delete(entry);
+    entry.data=undefined;
+    entry.evicted=true;
+  };
+  /**
+   * Drops the content of the least recently used entries until the memory used is within the budget.
+   */
+  const evict=()=>{
+    for(const entry of resident.keys()){
+      if(memoryUsed<=maxMemory) break;
+      release(entry);
+      ++evictions;
+    }
+  };
+  /**
+   * Reads the content of a file, from its archive if it's in one.
+   * @param {SourceFile} file
+   * @returns {Promise<Buffer>}
+   */
+  const readSource=file=>file.archive?
+                         readRootFile(file.archive,file.path.substring(file.archive.length+1)):
+                         fs.readFile(file.path);
+  /**
+   * Reloads the content of an evicted entry from disk, and compresses it again.
+   * The headers are updated if the file changed since the synchronization.
+   * @param {{headers:ResponseHeaders,file:SourceFile,evicted:boolean,subresources?:Object<string,?string>}} entry
+   * @returns {Promise<Data>}
+   */
+  const restore=entry=>entry.restoring||(entry.restoring=(async()=>{
+    try{
+      const type=entry.file.type;
+      const stats=await fs.stat(entry.file.archive||entry.file.path);
+      const source=await readSource(entry.file);
+      // The integrity attributes that were added during the synchronization are added again.
+      const uncompressed=entry.subresources?
+                         Buffer.from(subresourceIntegrity(source.toString(),it=>entry.subresources[it])):source;
+      const tag=etag(uncompressed);
+      if(tag!==entry.headers['ETag']){
+        entry.file=Object.assign({},entry.file,{ size: source.length, mtime: stats.mtimeMs });
+        entry.headers=Object.assign({},entry.headers,{ 'ETag': tag, 'Last-Modified': new Date(stats.mtimeMs).toUTCString() });
+        entry.sri=undefined;
+      }
+      // The sidecar files don't have the integrity attributes.
+      const data=await encode(uncompressed,type,tag,entry.subresources?{}:await readSidecars(entry.file));
+      entry.data=data;
+      entry.evicted=false;
+      track(entry);
+      evict();
+      return data;
+    }
+    finally{
+      entry.restoring=null;
+    }
+  })());
+  /**
+   * Returns the size and the integrity values of the content of an entry.
+   * They are kept with the entry, so they are only calculated again when the content changes.
+   * @param {{headers:ResponseHeaders,data?:Data,file?:SourceFile,evicted?:boolean}} entry
+   * @returns {Promise<{size:number,sha256:string,sha384:string}>}
+   */
+  const integrityValues=async entry=>{
+    if(!entry.sri){
+      const content=entry.data?entry.data.identity:!entry.evicted?entry.file.path:
+                    entry.subresources?(await restore(entry)).identity:await readSource(entry.file);
+      const size=Buffer.isBuffer(content)?content.length:entry.file.size;
+      entry.sri=Object.assign({ size: size },await integrityDigests(content));
+    }
+    return entry.sri;
+  };
+  /**
+   * Replaces the cache, keeping the generation id.
+   * @param {Map} updated
+   */
+  const replaceCache=updated=>{
+    if(generations) generationIds.set(updated,generationIds.get(cache));
+    cache=updated;
+  };
+  /**
+   * Drops the previous generations that expired, or that are over the limit,
+   * and releases the content that is no longer used by the generations that are kept.
+   */
+  const prune=()=>{
+    const now=Date.now();
+    const kept=previousGenerations.filter(it=>it.expires>now).slice(0,generations.keep-1);
+    if(kept.length===previousGenerations.length) return;
+    previousGenerations=kept;
+    const used=new Set([ cache,shadowedEntries,...kept.map(it=>it.cache) ].map(it=>[...it.values()]).flat());
+    [...resident.keys()].filter(it=>!used.has(it)).forEach(release);
+  };
+  /**
+   * Returns the previous generation that the client is pinned to, with the request header or the cookie,
+   * or null if there's none or if it's no longer kept.
+   * @param {Object<string,string>} headers
+   * @returns {?{id:number,cache:Map,cookie:boolean}}
+   */
+  const pinnedGeneration=headers=>{
+    prune();
+    const header=headers[generations.header.toLowerCase()];
+    const value=header||(generations.cookie?cookieValue(headers['cookie'],generations.cookie):null);
+    const id=parseInt(value);
+    const it=previousGenerations.find(it=>it.id===id);
+    return it?{ id: id, cache: it.cache, cookie: !header }:null;
+  };
+  /**
+   * Reads a file from the last root that has it.
+   * @param {string[]} roots
+   * @param {string} relative the path relative to the roots
+   * @param {Map<string,ArchiveEntry[]>} archives the entries of the archives that have already been read
+   * @returns {Promise<Buffer>}
+   */
+  const readLayered=async (roots,relative,archives)=>{
+    for(const root of roots.slice(1).reverse()){
+      try{
+        return await readRootFile(root,relative,archives.get(root));
+      }
+      catch(err){
+        if(err.code!=='ENOENT') throw err;
+      }
+    }
+    return readRootFile(roots[0],relative,archives.get(roots[0]));
+  };
+  /**
+   * Emits the fileProcessed event for an entry that was read from disk during the synchronization.
+   * @param {string} path
+   * @param {{data?:Data,file?:SourceFile}} entry
+   */
+  const processed=(path,entry)=>{
+    const size=entrySize(entry);
+    const encodings={};
+    const ratios={};
+    Object.entries(entry.data||{}).forEach(([ encoding,it ])=>{
+      encodings[encoding]=it.length;
+      if(encoding!==Encodings.identity) ratios[encoding]=size>0?it.length/size:1;
+    });
+    handler.emit('fileProcessed',{ path: path, size: size, streamed: !entry.data, encodings: encodings, ratios: ratios });
+  };
+  /**
+   * Synchronizes the cache with the content of the root directories.
+   * Files that haven't changed since the previous synchronization are not read or compressed again.
+   * @returns {Promise<SyncReport>}
+   */
+  const synchronize=async()=>{
     const updated=new Map();
-    const walk=async dir=>{
+    const walk=async (dir,types)=>{
       return (await Promise.all((await Promise.all(
         (await fs.readdir(dir)).
           map(async f=>{
@@ -235,47 +1854,674 @@ module.exports=async (options={})=>{
             const path=`${dir}/${f}`;
             if(f[start]==='.') return { path: path };
             const ext=end<start?'':f.substring(end);
-            const isDir = (await fs.lstat(path)).isDirectory();
-            return isDir?{ path: path, directory: true }:{ path: path, type: types[ext] };
+            const stats=await fs.lstat(path);
+            if(stats.isDirectory()) return { path: path, directory: true, mtime: stats.mtimeMs };
+            if(precompressed&&sidecarEncodings[ext]){
+              return { path: path, sidecar: sidecarEncodings[ext], size: stats.size, mtime: stats.mtimeMs };
+            }
+            return { path: path, type: types[ext], size: stats.size, mtime: stats.mtimeMs };
           })
-        )).filter(it=>it.directory||it.type).map(async it=>it.directory?[it, ...await walk(it.path)]:it)
+        )).filter(it=>it.directory||it.type||it.sidecar).map(async it=>it.directory?[it, ...await walk(it.path,types)]:it)
       )).flat(99);
     };
-    const files=[{ path: root, directory: true }, ...await walk(root)];
+    /** @type {Map<string,ArchiveEntry[]>} */
+    const archives=new Map();
+    /**
+     * Lists the files and directories of an archive like walk does, with the functions to read their content.
+     * @param {string} root
+     * @param {AllowedFileTypes} types
+     * @returns {Promise<Object[]>}
+     */
+    const archiveItems=async (root,types)=>{
+      const entries=await readArchive(root);
+      archives.set(root,entries);
+      const items=new Map();
+      entries.filter(it=>it.name&&!it.name.split('/').some(it=>it.charAt(0)==='.')).forEach(it=>{
+        // Archives don't always have entries for the parent directories.
+        const segments=it.name.split('/');
+        for(let i=1;i<segments.length;++i){
+          const name=segments.slice(0,i).join('/');
+          if(!items.has(name)) items.set(name,{ path: `${root}/${name}`, directory: true, mtime: it.mtime, archive: root });
+        }
+        const path=`${root}/${it.name}`;
+        if(it.directory) return items.set(it.name,{ path: path, directory: true, mtime: it.mtime, archive: root });
+        const name=segments[segments.length-1];
+        const type=types[name.lastIndexOf('.')===-1?'':name.substring(name.lastIndexOf('.')+1)];
+        if(!type) return;
+        items.set(it.name,{
+          path: path, type: type, size: it.size, mtime: it.mtime, archive: root, content: it.content, gzip: it.gzip
+        });
+      });
+      return [...items.values()];
+    };
+    const found=[];
+    // The files of an exported directory are listed in its manifest.
+    if(!exported) for(const mount of mounts){
+      for(const root of mount.roots){
+        const archive=archiveFormat(root)!==null;
+        const items=[
+          Object.assign({ path: root, directory: true, mtime: (await fs.stat(root)).mtimeMs },archive?{ archive: root }:{}),
+          ...archive?await archiveItems(root,mount.types):await walk(root,mount.types)
+        ];
+        items.forEach(it=>{
+          it.url=mount.prefix+it.path.substring(root.length);
+          it.headers=mount.headers;
+        });
+        found.push(...items);
+      }
+    }
+    // Sidecar files are the precompressed versions of the file with the same name without the extension.
+    const sidecars=new Map();
+    found.filter(it=>it.sidecar).forEach(it=>{
+      const path=it.path.substring(0,it.path.lastIndexOf('.'));
+      (sidecars.get(path)||sidecars.set(path,{}).get(path))[it.sidecar]={ path: it.path, size: it.size, mtime: it.mtime };
+    });
+    directories=exported?[ exported ]:found.filter(it=>it.directory&&!it.archive).map(it=>it.path);
+    // Files in later roots shadow the ones with the same url path, and directories are merged.
+    const merged=new Map();
+    found.filter(it=>!it.sidecar).forEach(it=>{
+      const previous=merged.get(it.url);
+      if(it.directory&&previous&&previous.directory){
+        merged.set(it.url,Object.assign({},it,{ mtime: Math.max(it.mtime,previous.mtime) }));
+      }
+      else merged.set(it.url,it);
+    });
+    const files=[...merged.values()];
+    /** @type {Set<string>} */
+    const modified=new Set();
     await Promise.all(files.map(async it=>{
       if(it.directory){
-        const path=prefix + it.path.substring(root.length);
+        const path=it.url;
         const location=`${path}/`.replace(/[/]{2,}/,'/');
+        const previous=cache.get(path);
+        if(previous&&previous.file) modified.add(path);
         updated.set(path, { headers: { 'Location': location } });
       }
       else{
         const type=it.type;
-        const uncompressed=await fs.readFile(it.path);
-        const headers=Object.assign({ 'ETag': etag(uncompressed) },type.headers);
+        const path=it.url.replace(/index.html$/,'');
+        // The content of archives is always loaded in memory.
+        const streamed=!it.archive&&it.size>streamingThreshold;
+        const file={ path: it.path, size: it.size, mtime: it.mtime, type: type };
+        if(it.archive) file.archive=it.archive;
+        if(!streamed&&type.compress&&sidecars.has(it.path)) file.sidecars=sidecars.get(it.path);
+        const previous=cache.get(path);
+        const reusable=previous&&previous.file&&previous.file.path===it.path&&
+                       (!previous.data&&!previous.evicted)===streamed&&
+                       sameSidecars(previous.file.sidecars,file.sidecars);
+        // Unchanged files are carried over from the previous synchronization.
+        if(reusable&&previous.file.size===it.size&&previous.file.mtime===it.mtime){
+          updated.set(path, previous);
+          return;
+        }
+        if(streamed){
+          // Files above the threshold are not kept in memory, they are streamed from disk when requested.
+          const tag=await fileEtag(it.path);
+          if(!reusable||previous.headers['ETag']!==tag) modified.add(path);
+          const headers=Object.assign({ 'ETag': tag, 'Last-Modified': new Date(it.mtime).toUTCString() },type.headers,it.headers);
+          if(disallowSharedCache&&headers['Cache-Control']) headers['Cache-Control']=headers['Cache-Control'].replace('public','private');
+          updated.set(path, { file: file, headers: headers });
+          processed(path,updated.get(path));
+          return;
+        }
+        const uncompressed=it.content?it.content():await fs.readFile(it.path);
+        const tag=etag(uncompressed);
+        // The content can be the same even if the modification time changed, in which case there's no need to compress again.
+        if(reusable&&(previous.sourceTag||previous.headers['ETag'])===tag){
+          const headers=Object.assign({},previous.headers,{ 'Last-Modified': new Date(it.mtime).toUTCString() });
+          updated.set(path, Object.assign(
+            { data: previous.data, evicted: previous.evicted, headers: headers, file: file },
+            previous.subresources?{ sourceTag: previous.sourceTag, subresources: previous.subresources }:{}
+          ));
+          return;
+        }
+        modified.add(path);
+        const headers=Object.assign({ 'ETag': tag, 'Last-Modified': new Date(it.mtime).toUTCString() },type.headers,it.headers);
         if(disallowSharedCache&&headers['Cache-Control']) headers['Cache-Control']=headers['Cache-Control'].replace('public','private');
-        const data=type.compress?{
-          identity: uncompressed,
-          gzip: await gz(uncompressed),
-          br: await br(uncompressed, isText(type.headers)),
-        }:{ identity: uncompressed };
-        updated.set(
-          (prefix + it.path.substring(root.length)).
-            replace(/index.html$/,''),
-          { data: data, headers: headers }
-        );
+        const precompressed=await readSidecars(file);
+        // Deflated zip entries don't need to be compressed again for gzip.
+        if(it.gzip) precompressed.gzip=it.gzip();
+        const data=await encode(uncompressed,type,tag,precompressed);
+        updated.set(path, { data: data, headers: headers, file: file });
+        processed(path,updated.get(path));
+        track(updated.get(path));
+        evict();
       }
     }));
-    [...updated.entries()].sort((a,b)=>{return a[0]<b[0]?-1:1}).forEach(it=>{
-      if(it[1].data){
-        if(it[1].data.br) console.log(`${it[0]} ${it[1].data.br.length} ${it[1].data.identity.length}`);
-        else console.log(`${it[0]} ${it[1].data.identity.length}`);
+    // The entries of an exported directory are loaded with their headers and their compressed versions.
+    if(exported){
+      const entries=JSON.parse(await fs.readFile(`${exported}/${exportManifest}`,'utf8'));
+      await Promise.all(Object.entries(entries).map(async ([ path,it ])=>{
+        const previous=cache.get(path);
+        if(previous&&previous.exported&&JSON.stringify(previous.headers)===JSON.stringify(it.headers)){
+          updated.set(path, previous);
+          return;
+        }
+        modified.add(path);
+        if(!it.file) return updated.set(path, { headers: it.headers, exported: true });
+        const stats=await fs.stat(`${exported}/${it.file}`);
+        const file={
+          path: `${exported}/${it.file}`,
+          size: it.size,
+          mtime: stats.mtimeMs,
+          type: { headers: { 'Content-Type': it.headers['Content-Type'] }, compress: !!it.encodings }
+        };
+        const entry={ headers: it.headers, file: file, exported: true };
+        if(it.size<=streamingThreshold){
+          // The compressed versions are loaded like sidecar files.
+          file.sidecars={};
+          Object.entries(it.encodings||{}).forEach(([ encoding,encoded ])=>{
+            file.sidecars[encoding]={ path: `${exported}/${encoded.file}`, size: encoded.size, mtime: stats.mtimeMs };
+          });
+          entry.data=Object.assign({ identity: await fs.readFile(file.path) },await readSidecars(file));
+        }
+        updated.set(path, entry);
+        processed(path,entry);
+        if(entry.data){
+          track(entry);
+          evict();
+        }
+      }));
+    }
+    if(autoindex){
+      await Promise.all(files.filter(it=>it.directory).map(async dir=>{
+        const path=`${dir.url}/`.replace(/[/]{2,}/,'/');
+        // Directories with an index file don't need a listing.
+        if(updated.has(path)) return;
+        const children=files.filter(it=>it!==dir&&it.url.substring(0,it.url.lastIndexOf('/'))===dir.url);
+        const items=children.map(it=>({
+          name: it.url.substring(it.url.lastIndexOf('/')+1),
+          size: it.directory?null:it.size,
+          type: it.directory?'directory':it.type.headers['Content-Type'],
+          modified: new Date(it.mtime).toISOString()
+        })).sort((a,b)=>a.name<b.name?-1:1);
+        const lastModified=new Date(Math.max(dir.mtime,...children.map(it=>it.mtime))).toUTCString();
+        const html=Buffer.from(listingHtml(path,items,dir.url.length>prefix.length));
+        const json=Buffer.from(JSON.stringify(items));
+        const tag=etag(html);
+        const previous=cache.get(path);
+        if(previous&&previous.json&&previous.headers['ETag']===tag&&previous.headers['Last-Modified']===lastModified){
+          updated.set(path, previous);
+          return;
+        }
+        modified.add(path);
+        const vary=`${options.headers['Vary']?`${options.headers['Vary']}, `:''}Accept`;
+        const entry=async (content,type,tag)=>{
+          const headers=Object.assign({ 'ETag': tag, 'Last-Modified': lastModified, 'Vary': vary },type.headers);
+          if(disallowSharedCache) headers['Cache-Control']=headers['Cache-Control'].replace('public','private');
+          return { data: await encode(content,type,tag), headers: headers };
+        };
+        updated.set(path, Object.assign(
+          await entry(html,listingTypes.html,tag),
+          { json: await entry(json,listingTypes.json,etag(json)) }
+        ));
+      }));
+    }
+    // The header rules are resolved for each entry, including the ones carried over from the previous synchronization.
+    // The rules of the _headers files are relative to the prefix of their mount.
+    const rules=(options.headerRules||[]).map(it=>Object.assign({ base: prefix },it));
+    for(const mount of mounts){
+      for(const root of mount.roots){
+        const text=await readTextFile(root,'_headers',archives.get(root));
+        if(text) rules.push(...parseHeadersFile(text).map(it=>Object.assign({ base: mount.prefix },it)));
       }
-    });
-    console.log('\n\n');
+    }
+    const compiled=rules.map(it=>({ base: it.base, pattern: pathPattern(it.path), headers: it.headers }));
+    for(const [ path,entry ] of updated.entries()){
+      const headers=ruleHeaders(compiled,path);
+      if(JSON.stringify(headers)===JSON.stringify(entry.pathHeaders)) continue;
+      const json=entry.json&&Object.assign({},entry.json,{ pathHeaders: headers });
+      updated.set(path,Object.assign({},entry,json?{ pathHeaders: headers, json: json }:{ pathHeaders: headers }));
+      if(cache.has(path)) modified.add(path);
+    }
+    const redirects=(options.redirects||[]).map(it=>Object.assign({ base: prefix },it));
+    for(const mount of mounts){
+      for(const root of mount.roots){
+        const text=await readTextFile(root,'_redirects',archives.get(root));
+        if(text) redirects.push(...parseRedirectsFile(text).map(it=>Object.assign({ base: mount.prefix },it)));
+      }
+    }
+    const compiledRedirects=redirects.map(it=>({
+      base: it.base, pattern: pathPattern(it.from), to: it.to, status: it.status||301
+    }));
+    const pages=new Map();
+    // The error pages are relative to the roots of the first mount.
+    await Promise.all(Object.entries(options.errorPages||{}).map(async ([ status,file ])=>{
+      const relative=file.replace(/^[/]+/,'');
+      const ext=relative.substring(relative.lastIndexOf('.')+1);
+      const type=mounts[0].types[ext]||listingTypes.html;
+      const uncompressed=await readLayered(mounts[0].roots,relative,archives);
+      const tag=etag(uncompressed);
+      const previous=errorPages.get(parseInt(status));
+      if(previous&&previous.tag===tag) return pages.set(parseInt(status),previous);
+      const headers=Object.assign({},type.headers);
+      if(disallowSharedCache&&headers['Cache-Control']) headers['Cache-Control']=headers['Cache-Control'].replace('public','private');
+      pages.set(parseInt(status),{ data: await encode(uncompressed,type,tag), headers: headers, tag: tag });
+    }));
+    // Virtual entries take precedence over the files with the same path.
+    const shadowed=new Map();
+    const applyVirtualEntries=()=>{
+      // The ones that were removed since they were applied are replaced by the file with the same path, if any.
+      for(const [ path,entry ] of [...updated]){
+        if(!entry.virtual||virtualEntries.has(path)) continue;
+        if(shadowed.has(path)) updated.set(path,shadowed.get(path));
+        else updated.delete(path);
+      }
+      for(const [ path,entry ] of virtualEntries){
+        const current=updated.get(path);
+        if(current&&!current.virtual) shadowed.set(path,current);
+        const headers=ruleHeaders(compiled,path);
+        const it=JSON.stringify(headers)===JSON.stringify(entry.pathHeaders)?entry:Object.assign({},entry,{ pathHeaders: headers });
+        virtualEntries.set(path,it);
+        updated.set(path,it);
+        modified.delete(path);
+      }
+    };
+    applyVirtualEntries();
+    // The integrity attributes are added to the same-origin script and stylesheet tags of the html files.
+    // The integrity values that were used are kept with the entry, and the file is only read again when they change.
+    if(integrity&&integrity.transform){
+      await Promise.all([...updated].filter(([ ,entry ])=>entry.file&&(entry.data||entry.evicted)&&isHtml(entry)).map(async ([ path,entry ])=>{
+        const references=async urls=>{
+          const values={};
+          await Promise.all(urls.map(async url=>{
+            const target=updated.get(sameOriginPath(url,path));
+            values[url]=target&&(target.data||target.file)&&!target.json&&!isHtml(target)?
+                        (await integrityValues(target)).sha384:null;
+          }));
+          return values;
+        };
+        if(entry.subresources){
+          const values=await references(Object.keys(entry.subresources));
+          if(Object.keys(values).every(it=>values[it]===entry.subresources[it])) return;
+        }
+        const source=entry.data&&!entry.subresources?entry.data.identity:await readSource(entry.file);
+        const urls=[];
+        subresourceIntegrity(source.toString(),url=>{
+          urls.push(url);
+          return null;
+        });
+        const values=await references(urls);
+        const uncompressed=Buffer.from(subresourceIntegrity(source.toString(),url=>values[url]));
+        const tag=etag(uncompressed);
+        const it=Object.assign({},entry,{ sourceTag: etag(source), subresources: values });
+        if(tag!==entry.headers['ETag']){
+          it.headers=Object.assign({},entry.headers,{ 'ETag': tag });
+          it.data=await encode(uncompressed,entry.file.type,tag);
+          it.evicted=false;
+          it.sri=undefined;
+          modified.add(path);
+        }
+        updated.set(path,it);
+      }));
+    }
+    // The subresources of the html files that should be preloaded are listed in their Link header and early hints,
+    // as long as they are in the cache.
+    if(preload){
+      await Promise.all([...updated].filter(([ ,entry ])=>(entry.data||entry.file)&&isHtml(entry)).map(async ([ path,entry ])=>{
+        const relative=relativePath(path,prefix);
+        const settings=preloadRules.filter(it=>relative!==null&&it.pattern.test(relative)).reduce((settings,it)=>({
+          earlyHints: it.earlyHints===undefined?settings.earlyHints:it.earlyHints,
+          linkHeader: it.linkHeader===undefined?settings.linkHeader:it.linkHeader
+        }),{ earlyHints: preload.earlyHints, linkHeader: preload.linkHeader });
+        const links=[];
+        if(settings.earlyHints||settings.linkHeader){
+          // The links are only parsed again when the content changes.
+          if(!entry.hints) entry.hints=preloadLinks((entry.data?entry.data.identity:await readSource(entry.file)).toString());
+          entry.hints.forEach(link=>{
+            const resolved=sameOriginPath(link.url,path);
+            const target=resolved&&updated.get(resolved);
+            if(!target||!(target.data||target.file)||target.json) return;
+            const value=linkValue(resolved,link);
+            // Links that can't be sent as early hints (type="font/woff2; charset=binary" for instance) are skipped.
+            if(!earlyHintsLinkPattern.test(value)) return;
+            if(links.indexOf(value)===-1) links.push(value);
+          });
+        }
+        const it=links.length>0?Object.assign({ links: links },settings):undefined;
+        if(JSON.stringify(it)===JSON.stringify(entry.preload)) return;
+        updated.set(path,Object.assign({},entry,{ preload: it }));
+        if(cache.has(path)) modified.add(path);
+      }));
+    }
+    // The localized versions of the pages (index.fr.html) are grouped with the entry of the path without the language
+    // (index.html). Only the pages are localized: lib.es.js isn't the spanish version of lib.js.
+    if(languages){
+      const groups=new Map();
+      for(const [ path,entry ] of updated){
+        const match=/^(.*)[.]([a-z]{2}(?:-[a-z0-9]{2,8})*)([.][^./]+)$/i.exec(path);
+        if(!match||!isHtml(entry)||!(entry.data||entry.file||entry.evicted)) continue;
+        if(supportedLanguages&&supportedLanguages.indexOf(match[2].toLowerCase())===-1) continue;
+        const base=`${match[1]}${match[3]}`.replace(/index.html$/,'');
+        (groups.get(base)||groups.set(base,{}).get(base))[match[2].toLowerCase()]=entry;
+      }
+      const sameLanguages=(a,b)=>!!a&&!!b&&Object.keys(a).length===Object.keys(b).length&&Object.keys(b).every(it=>a[it]===b[it]);
+      for(const [ path,entry ] of updated){
+        if(!entry.languages||groups.has(path)) continue;
+        const it=Object.assign({},entry);
+        delete it.languages;
+        updated.set(path,it);
+        modified.add(path);
+      }
+      for(const [ base,variants ] of groups){
+        const entry=updated.get(base);
+        // The localized versions are only grouped with an existing file, so that no file is served with a new url
+        // (jquery.ui.js isn't served as jquery.js).
+        if(!entry||entry.json||!isHtml(entry)||!(entry.data||entry.file||entry.evicted)) continue;
+        if(sameLanguages(entry.languages,variants)) continue;
+        updated.set(base,Object.assign({},entry,{ languages: variants }));
+        const previous=cache.get(base);
+        if(previous&&!sameLanguages(previous.languages,variants)) modified.add(base);
+      }
+    }
+    // The variants of the images in other formats (hero.avif and hero.webp for hero.png) are grouped with the original.
+    if(imageVariants){
+      for(const [ path,entry ] of updated){
+        const type=entry.headers['Content-Type'];
+        const i=path.lastIndexOf('.');
+        if(!type||type.indexOf('image/')!==0||Object.values(variantTypes).indexOf(type)!==-1||i<path.lastIndexOf('/')) continue;
+        const variants=Object.entries(variantTypes).map(([ ext,type ])=>{
+          const variant=updated.get(`${path.substring(0,i)}.${ext}`);
+          return variant&&variant.headers['Content-Type']===type?variant:null;
+        }).filter(it=>it);
+        const previous=entry.variants||[];
+        if(variants.length===previous.length&&variants.every((it,j)=>it===previous[j])) continue;
+        const it=Object.assign({},entry,{ variants: variants });
+        if(variants.length===0) delete it.variants;
+        updated.set(path,it);
+        if(cache.has(path)) modified.add(path);
+      }
+    }
+    /** @type {?Object<string,AssetDigest>} */
+    let assets=null;
+    if(integrity){
+      assets={};
+      const entries=[...updated].filter(([ path,entry ])=>(entry.data||entry.file)&&!entry.json&&path!==manifestPath);
+      for(const [ path,entry ] of entries.sort((a,b)=>a[0]<b[0]?-1:1)){
+        const values=await integrityValues(entry);
+        assets[path]={ size: values.size, type: entry.headers['Content-Type'], sha256: values.sha256, sha384: values.sha384 };
+      }
+      // The manifest endpoint takes precedence over the file with the same path.
+      if(manifestPath){
+        const json=Buffer.from(JSON.stringify(assets));
+        const tag=etag(json);
+        const previous=cache.get(manifestPath);
+        if(previous&&previous.headers['ETag']===tag&&!previous.file) updated.set(manifestPath,previous);
+        else{
+          const headers=Object.assign({ 'ETag': tag, 'Last-Modified': new Date().toUTCString() },listingTypes.json.headers);
+          if(disallowSharedCache) headers['Cache-Control']=headers['Cache-Control'].replace('public','private');
+          updated.set(manifestPath,{ data: await encode(json,listingTypes.json,tag), headers: headers });
+          modified.add(manifestPath);
+        }
+      }
+    }
+    // The virtual entries are applied again, since they might have been set or removed during the synchronization.
+    applyVirtualEntries();
+    const previous=cache;
+    const report={
+      added: [...updated.keys()].filter(it=>!previous.has(it)).sort(),
+      changed: [...modified].filter(it=>previous.has(it)).sort(),
+      removed: [...previous.keys()].filter(it=>!updated.has(it)).sort()
+    };
+    // A new generation is only created when the content changed, and the previous one is kept.
+    if(generations){
+      if(generation===0||report.added.length+report.changed.length+report.removed.length>0){
+        if(generation>0){
+          previousGenerations.unshift({ id: generation, cache: previous, expires: Date.now()+generations.maxAge*1000 });
+        }
+        ++generation;
+      }
+      generationIds.set(updated,generation);
+      report.generation=generation;
+    }
+    // Entries that are no longer in the cache (or in the previous generations) are released,
+    // and the ones with copied content are tracked.
+    const current=new Set([ updated,shadowed,...previousGenerations.map(it=>it.cache) ].map(it=>[...it.values()]).flat());
+    [...resident.keys()].filter(it=>!current.has(it)).forEach(release);
+    [ updated,shadowed ].forEach(entries=>entries.forEach(it=>{
+      if(it.file&&it.data&&!resident.has(it)) track(it);
+    }));
+    evict();
     cache=updated;
+    shadowedEntries=shadowed;
+    if(generations) prune();
+    errorPages=pages;
+    redirectRules=compiledRedirects;
+    headerRules=compiled;
+    manifest=assets;
+    return report;
+  };
+  /**
+   * Sends an error response, with the custom error page for this status if there's one.
+   * @param {IncomingMessage|Http2ServerRequest} request
+   * @param {ServerResponse} response
+   * @param {number} status
+   * @param {ResponseHeaders} headers
+   */
+  const sendError=(request,response,status,headers)=>{
+    const page=errorPages.get(status);
+    const encoding=page&&bestSupportedEncoding(request.headers,page.data);
+    if(!encoding){
+      response.writeHead(status,headers);
+      return response.end();
+    }
+    Object.assign(headers,page.headers);
+    if(encoding!==Encodings.identity) headers['Content-Encoding']=encoding;
+    headers['Content-Length']=page.data[encoding].length;
+    response.writeHead(status,headers);
+    if(request.method.toLowerCase()==='head') return response.end();
+    return response.end(page.data[encoding]);
+  };
+  /**
+   * Finds the first redirect or rewrite rule matching the path, and returns its status, the prefix its target
+   * is relative to, and its target with the placeholders replaced.
+   * @param {string} path
+   * @returns {?{status:number,base:string,to:string}}
+   */
+  const matchRedirect=path=>{
+    for(const rule of redirectRules){
+      const relative=relativePath(path,rule.base);
+      const match=relative!==null&&rule.pattern.exec(relative);
+      if(!match) continue;
+      const groups=match.groups||{};
+      return {
+        status: rule.status,
+        base: rule.base,
+        to: rule.to.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g,(it,name)=>groups[name]!==undefined?groups[name]:it)
+      };
+    }
+    return null;
+  };
+  /**
+   * Checks the bearer token and the HMAC signature of a request to the synchronization endpoint, if they are required.
+   * The signature is the hex encoded HMAC-SHA256 of `${timestamp}.${method}.${path}`, sent as `sha256=<signature>`
+   * in the X-Sync-Signature header, with the timestamp (in seconds) in the X-Sync-Timestamp header.
+   * @param {IncomingMessage|Http2ServerRequest} request
+   * @returns {?number} 401 or 403 if the request is not authorized, null otherwise
+   */
+  const authorizeSync=request=>{
+    if(syncEndpoint.token){
+      const match=/^Bearer\s+(\S+)\s*$/i.exec(request.headers['authorization']||'');
+      if(!match||!safeEqual(match[1],syncEndpoint.token)) return 401;
+    }
+    if(syncEndpoint.hmacSecret){
+      const timestamp=request.headers['x-sync-timestamp']||'';
+      const signature=request.headers['x-sync-signature']||'';
+      // Old signatures are rejected to prevent replays.
+      if(!(Math.abs(Date.now()/1000-parseInt(timestamp))<=300)) return 403;
+      const hmac=crypto.createHmac('sha256',syncEndpoint.hmacSecret).
+        update(`${timestamp}.${request.method.toUpperCase()}.${syncPath}`).digest('hex');
+      if(!safeEqual(signature,`sha256=${hmac}`)) return 403;
+    }
+    return null;
+  };
+  /**
+   * Synchronizes the cache with the content of the root directory, and emits the syncStart event
+   * followed by either the syncFinish event (with the report and the duration) or the syncError event.
+   * @returns {Promise<SyncReport>}
+   */
+  const runSync=async()=>{
+    handler.emit('syncStart');
+    const start=process.hrtime.bigint();
+    try{
+      const report=await synchronize();
+      handler.emit('syncFinish',Object.assign({ duration: Number(process.hrtime.bigint()-start)/1e6 },report));
+      return report;
+    }
+    catch(err){
+      handler.emit('syncError',err);
+      throw err;
+    }
   };
+  /** @type {?Promise<SyncReport>} */
+  let syncing=null;
+  /** @type {?Promise<SyncReport>} */
+  let pending=null;
+  /**
+   * Synchronizes, making sure that only one synchronization runs at a time.
+   * When one is already running, the next one starts after it, and the calls made in the meantime share it,
+   * so that the cache is never replaced with an older version of the content.
+   * @returns {Promise<SyncReport>}
+   */
+  const sync=()=>{
+    if(pending) return pending;
+    const start=()=>{
+      pending=null;
+      return syncing=runSync().finally(()=>syncing=null);
+    };
+    if(!syncing) return start();
+    return pending=syncing.then(start,start);
+  };
+  const metrics=metricsOptions?metricsRegistry():null;
+  if(metrics){
+    const requests=metrics.counter('static_http_requests_total','Number of responses, by status and encoding.');
+    const bytes=metrics.counter('static_http_response_bytes_total','Size of the response bodies, by encoding.');
+    const durations=metrics.histogram(
+      'static_http_request_duration_seconds','Time to send the responses.',metricsOptions.buckets
+    );
+    const syncs=metrics.counter('static_syncs_total','Number of synchronizations, by result.');
+    const syncDurations=metrics.histogram(
+      'static_sync_duration_seconds','Duration of the synchronizations.',[ 0.01, 0.1, 0.5, 1, 5, 10, 30, 60 ]
+    );
+    const files=metrics.counter('static_files_processed_total','Number of files read from disk during the synchronizations.');
+    const ratios=metrics.histogram(
+      'static_compression_ratio','Compressed to uncompressed size ratios of the processed files, by encoding.',
+      [ 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1 ]
+    );
+    metrics.gauge('static_cache_entries','Number of entries in the cache.',()=>cache.size);
+    metrics.gauge('static_memory_used_bytes','Memory used by the content of the files.',()=>memoryUsed);
+    handler.on('requestServed',it=>{
+      requests.inc({ status: it.status, encoding: it.encoding });
+      bytes.inc({ encoding: it.encoding },it.bytes);
+      durations.observe(it.duration/1000);
+    });
+    handler.on('syncFinish',it=>{
+      syncs.inc({ result: 'success' });
+      syncDurations.observe(it.duration/1000);
+    });
+    handler.on('syncError',()=>syncs.inc({ result: 'error' }));
+    handler.on('fileProcessed',it=>{
+      files.inc();
+      Object.entries(it.ratios).forEach(([ encoding,ratio ])=>ratios.observe(ratio,{ encoding: encoding }));
+    });
+  }
+  if(logger){
+    handler.on('fileProcessed',it=>{
+      const encodings=Object.entries(it.ratios).map(([ encoding,ratio ])=>`${encoding}:${ratio.toFixed(2)}`);
+      logger.info(`${it.path} ${it.size}${it.streamed?' (streamed)':''}${encodings.length?` ${encodings.join(' ')}`:''}`);
+    });
+    handler.on('syncError',err=>logger.error(err));
+  }
   await sync();
-  return {
+  /** @type {FSWatcher[]} */
+  let watchers=[];
+  let recursive=true;
+  // The inodes of the watched roots (null for a missing root), to detect that a root was removed or replaced.
+  let identities=[];
+  // Set when a root could not be watched, watching is then retried until it succeeds.
+  let stale=false;
+  let timer=null;
+  let closed=false;
+  /**
+   * Synchronizes after a change on disk.
+   * @returns {Promise<void>}
+   */
+  const resync=async()=>{
+    timer=null;
+    try{
+      await sync();
+    }
+    catch(err){
+      // The error has already been emitted as a syncError event.
+    }
+    if(closed) return;
+    // Without recursive watching, the list of watched directories needs to follow the synchronized tree.
+    // Watchers of roots that were removed or replaced need to be created again.
+    if(!recursive||stale||(await rootIdentities()).some((it,i)=>it!==identities[i])) await refreshWatchers();
+  };
+  /**
+   * Returns the inodes of the watched directories, the roots or the directories of the archives.
+   * @returns {Promise<Array<?number>>}
+   */
+  const rootIdentities=()=>Promise.all(roots.map(it=>fs.stat(archiveFormat(it)?dirname(it):it).then(stats=>stats.ino,()=>null)));
+  const watchDelay=typeof options.watchDelay==='number'?options.watchDelay:100;
+  const watchRetryDelay=1000;
+  /**
+   * Replaces the watchers, errors are emitted as syncError events.
+   * @returns {Promise<void>}
+   */
+  const refreshWatchers=async()=>{
+    identities=await rootIdentities();
+    watchers.forEach(it=>it.close());
+    watchers=[];
+    if(closed) return;
+    stale=false;
+    const trees=roots.map((root,i)=>{
+      // A missing root is skipped, the synchronization already reports it.
+      if(identities[i]===null){
+        stale=true;
+        return null;
+      }
+      const changed=path=>{
+        // Changes to hidden files and directories are ignored since they are never served.
+        if(path&&path.substring(root.length).split(/[\\/]/).some(it=>it.charAt(0)==='.')) return;
+        if(timer) clearTimeout(timer);
+        timer=setTimeout(resync,watchDelay);
+      };
+      const failed=err=>{
+        stale=true;
+        handler.emit('syncError',err);
+        if(!closed&&!timer) timer=setTimeout(resync,watchDelay);
+      };
+      try{
+        if(archiveFormat(root)) return watchFile(root,changed,failed);
+        return watchTree(root,directories.filter(it=>relativePath(it,root)!==null),changed,failed);
+      }
+      catch(err){
+        stale=true;
+        handler.emit('syncError',err);
+        return null;
+      }
+    }).filter(it=>it);
+    recursive=trees.every(it=>it.recursive);
+    watchers=trees.map(it=>it.watchers).flat();
+    if(stale&&!timer) timer=setTimeout(resync,watchRetryDelay);
+  };
+  if(options.watch===true) await refreshWatchers();
+  return Object.assign(handler,{
+    sync: sync,
+    /**
+     * Stops watching for changes and waits for the synchronization in progress, if any.
+     * @returns {Promise<void>}
+     */
+    close: async()=>{
+      closed=true;
+      if(timer) clearTimeout(timer);
+      timer=null;
+      watchers.forEach(it=>it.close());
+      watchers=[];
+      if(pending||syncing) await (pending||syncing).catch(()=>{});
+    },
     accept: (request,response,hostname,remoteAddress)=>{
       const path=uriPath(request.url);
       // We attach the cache to the session so that it stays the same for the duration of the session.
@@ -283,65 +2529,375 @@ module.exports=async (options={})=>{
       const sessionCache=request.stream&&request.stream.session?(
         request.stream.session.cache||(request.stream.session.cache=cache)
       ):cache;
-      const found=sessionCache.get(path);
+      if(path===syncPath&&syncAllowed(remoteAddress)) return [ null,request,response ];
+      if(path===metricsPath&&metricsAllowed(remoteAddress)) return [ { metrics: true },request,response ];
+      const underPrefix=path===prefix||path.indexOf(`${prefix}/`)===0;
+      // Redirect and rewrite rules are evaluated before the cache lookup.
+      const rule=matchRedirect(path);
+      if(rule&&rule.status!==200){
+        // The query string is preserved.
+        const query=request.url.substring(path.length).replace(/#.*$/,'');
+        // The leading slashes of local targets are collapsed (a placeholder could otherwise turn the location
+        // into a protocol relative url to another host, //evil.example/x for instance).
+        const location=(rule.to.charAt(0)==='/'?`${rule.base}${rule.to}`.replace(/^[/\\]{2,}/,'/'):rule.to)+
+                       (query.length>1?(rule.to.indexOf('?')===-1?query:`&${query.substring(1)}`):'');
+        return [ { redirect: { status: rule.status, location: location } },request,response ];
+      }
+      const pinned=generations?pinnedGeneration(request.headers):null;
+      let served=generationIds.get(sessionCache);
+      const lookup=key=>{
+        const entry=sessionCache.get(key);
+        const it=pinned?pinned.cache.get(key):null;
+        // Only the content in memory is kept for the previous generations, and the cookie doesn't apply to the pages,
+        // so that they come with the latest version of their subresources.
+        if(!it||(it.file&&!it.data)||(pinned.cookie&&isHtml(it))) return entry;
+        served=pinned.id;
+        return it;
+      };
+      let found=lookup(rule?`${rule.base}${uriPath(rule.to)}`:path);
       if(!found){
-        return request.url===`${prefix}/sync`&&localAddresses.has(remoteAddress)?[ null,request,response ]:null;
+        const entry=spaFallback&&underPrefix&&isNavigation(request,path)?lookup(spaFallback):null;
+        if(!entry) return handleNotFound&&underPrefix?[ { error: 404 },request,response ]:null;
+        found=entry;
+      }
+      // The response depends on the negotiation headers for the entries with variants, even when the original is used.
+      const negotiated={ vary: [], language: null, generation: generations?served:null };
+      if(generations) negotiated.vary.push(generations.header);
+      if(found.languages){
+        [ negotiated.language,found ]=bestLanguage(request.headers['accept-language'],found,defaultLanguage);
+        negotiated.vary.push('Accept-Language');
+      }
+      if(found.variants){
+        found=bestVariant(request.headers,found)||found;
+        negotiated.vary.push('Accept');
+      }
+      return negotiated.vary.length>0?[ found,request,response,negotiated ]:[ found,request,response ];
+    },
+    /**
+     * Returns the metrics in the Prometheus text format, or null if the metrics are not enabled.
+     * @returns {?string}
+     */
+    metrics: ()=>metrics?metrics.render():null,
+    /**
+     * Returns the size, content type and integrity values of the content of each path,
+     * as of the last synchronization, or null if the integrity option isn't enabled.
+     * @returns {?Object<string,AssetDigest>}
+     */
+    manifest: ()=>manifest&&Object.assign({},manifest),
+    /**
+     * Adds or replaces an in-memory entry, that is served like a file and kept by the synchronizations.
+     * The headers come from the file type (the type option, or the extension of the path),
+     * or from the headers option (with the compress option to enable the compression).
+     * @param {string} path the path (relative to the prefix)
+     * @param {Buffer|string} content
+     * @param {{type?:string,headers?:Headers,compress?:boolean}} [entryOptions={}]
+     * @returns {Promise<void>}
+     */
+    setEntry: async (path,content,entryOptions={})=>{
+      const fullPath=`${prefix}/${path.replace(/^[/]+/,'')}`.replace(/index.html$/,'');
+      let type;
+      if(entryOptions.headers){
+        if(!entryOptions.headers['Content-Type']) throw new Error('Missing Content-Type header');
+        const headers=Object.assign({ 'Cache-Control': 'public,no-cache' },entryOptions.headers);
+        type={ headers: headers, compress: entryOptions.compress===undefined?isText(headers):entryOptions.compress===true };
+      }
+      else{
+        const key=entryOptions.type||path.substring(path.lastIndexOf('.')+1);
+        type=types[key];
+        if(!type) throw new Error(`Unknown file type: ${key}`);
       }
-      return [ found,request,response ];
+      const uncompressed=Buffer.isBuffer(content)?content:Buffer.from(content);
+      const tag=etag(uncompressed);
+      const previous=virtualEntries.get(fullPath);
+      const shadowed=cache.get(fullPath);
+      if(shadowed&&!shadowed.virtual) shadowedEntries.set(fullPath,shadowed);
+      const lastModified=previous&&previous.headers['ETag']===tag?previous.headers['Last-Modified']:new Date().toUTCString();
+      const headers=Object.assign({ 'ETag': tag, 'Last-Modified': lastModified },type.headers);
+      if(disallowSharedCache&&headers['Cache-Control']) headers['Cache-Control']=headers['Cache-Control'].replace('public','private');
+      const entry={ data: await encode(uncompressed,type,tag), headers: headers, virtual: true };
+      const pathHeaders=ruleHeaders(headerRules,fullPath);
+      if(pathHeaders) entry.pathHeaders=pathHeaders;
+      virtualEntries.set(fullPath,entry);
+      // The cache is replaced rather than updated, so that the sessions keep the version they started with.
+      replaceCache(new Map(cache).set(fullPath,entry));
+    },
+    /**
+     * Removes an in-memory entry added with setEntry.
+     * The file with the same path, if there was one at the last synchronization, is served again.
+     * @param {string} path the path (relative to the prefix)
+     * @returns {boolean} false if there was no entry with this path
+     */
+    removeEntry: path=>{
+      const fullPath=`${prefix}/${path.replace(/^[/]+/,'')}`.replace(/index.html$/,'');
+      if(!virtualEntries.delete(fullPath)) return false;
+      const updated=new Map(cache);
+      const shadowed=shadowedEntries.get(fullPath);
+      if(shadowed) updated.set(fullPath,shadowed);
+      else updated.delete(fullPath);
+      replaceCache(updated);
+      return true;
+    },
+    /**
+     * Returns the memory used by the content of the files, the budget (maxMemory option),
+     * the number of entries with their content in memory, and the number of evictions so far.
+     * @returns {{used:number,max:number,entries:number,evictions:number}}
+     */
+    memoryUsage: ()=>({ used: memoryUsed, max: maxMemory, entries: resident.size, evictions: evictions }),
+    /**
+     * Writes the content of the cache to a directory: the files, their compressed versions (.gz, .br and .zst),
+     * and a manifest with the headers of each path. The directory can be deployed without the handler,
+     * or served by a handler with the exported option, without compressing the files again.
+     * @param {string} directory
+     * @returns {Promise<Object<string,ExportedEntry>>} the manifest
+     */
+    exportTo: async directory=>{
+      const extensions=Object.fromEntries(Object.entries(sidecarEncodings).map(([ ext,encoding ])=>[ encoding,ext ]));
+      const entries={};
+      for(const [ path,entry ] of [...cache].sort((a,b)=>a[0]<b[0]?-1:1)){
+        const headers=mergeHeaders(Object.assign({},entry.exported?{}:options.headers,entry.headers),entry.pathHeaders);
+        if(!entry.data&&!entry.file){
+          entries[path]={ headers: headers };
+          continue;
+        }
+        const data=entry.data||(entry.evicted?await restore(entry):null);
+        const name=`${path.replace(/^[/]+/,'')}${path.charAt(path.length-1)==='/'?'index.html':''}`;
+        const target=`${directory}/${name}`;
+        await fs.mkdir(target.substring(0,target.lastIndexOf('/')),{ recursive: true });
+        if(data) await fs.writeFile(target,data.identity);
+        else await fs.copyFile(entry.file.path,target);
+        const it={ file: name, size: entrySize(entry), headers: headers };
+        const encoded=Object.keys(data||{}).filter(it=>it!==Encodings.identity);
+        if(encoded.length>0){
+          it.encodings={};
+          for(const encoding of encoded){
+            await fs.writeFile(`${target}.${extensions[encoding]}`,data[encoding]);
+            it.encodings[encoding]={
+              file: `${name}.${extensions[encoding]}`,
+              size: data[encoding].length,
+              etag: encodedEtag(headers['ETag'],encoding)
+            };
+          }
+        }
+        entries[path]=it;
+      }
+      await fs.mkdir(directory,{ recursive: true });
+      await fs.writeFile(`${directory}/${exportManifest}`,JSON.stringify(entries,null,2));
+      return entries;
     },
     handle: (accepted)=>{
-      const [ found,request,response ]=accepted;
+      let [ found,request,response,negotiated ]=accepted;
+      // The content of evicted entries is reloaded before handling the request.
+      if(found&&found.evicted){
+        restore(found).then(
+          data=>handler.handle([ Object.assign({},found,{ data: data, evicted: false }),...accepted.slice(1) ]),
+          err=>sendError(request,response,err.code==='ENOENT'?404:500,Object.assign({},options.headers))
+        );
+        return;
+      }
+      if(found&&found.data&&resident.has(found)) track(found);
+      if(handler.listenerCount('requestServed')>0){
+        const start=process.hrtime.bigint();
+        // The headers passed to writeHead are not available with getHeader, so they are captured.
+        let sent={};
+        const writeHead=response.writeHead;
+        response.writeHead=(status,headers)=>{
+          sent=headers||{};
+          return writeHead.call(response,status,headers);
+        };
+        response.once('finish',()=>{
+          const status=response.statusCode;
+          const length=request.method.toLowerCase()==='head'||status===304?0:sent['Content-Length'];
+          handler.emit('requestServed',{
+            method: request.method,
+            path: uriPath(request.url),
+            status: status,
+            encoding: sent['Content-Encoding']||Encodings.identity,
+            bytes: parseInt(length)||0,
+            duration: Number(process.hrtime.bigint()-start)/1e6
+          });
+        });
+      }
       if(!found){
+        if(syncEndpoint.methods.map(it=>it.toUpperCase()).indexOf(request.method.toUpperCase())===-1){
+          return sendError(request,response,405,Object.assign({ 'Allow': syncEndpoint.methods.join(', ') },options.headers));
+        }
+        const status=authorizeSync(request);
+        if(status){
+          const headers=Object.assign({},options.headers);
+          if(status===401) headers['WWW-Authenticate']='Bearer';
+          return sendError(request,response,status,headers);
+        }
         (async()=>{
           try{
-            await sync();
-            response.writeHead(200);
-            response.end();
+            const previous=cache;
+            const start=process.hrtime.bigint();
+            const report=await sync();
+            const duration=Number(process.hrtime.bigint()-start)/1e6;
+            // The previous cache is the one of the request, the synchronization might have been queued behind another one.
+            const list=(paths,entries)=>paths.map(it=>({ path: it, size: entries.has(it)?entrySize(entries.get(it)):null }));
+            const body=Buffer.from(JSON.stringify({
+              added: list(report.added,cache),
+              changed: list(report.changed,cache),
+              removed: list(report.removed,previous),
+              generation: report.generation,
+              duration: duration
+            }));
+            response.writeHead(200,Object.assign({},options.headers,{
+              'Content-Type': 'application/json',
+              'Cache-Control': 'no-store',
+              'Content-Length': body.length
+            }));
+            if(request.method.toLowerCase()==='head') return response.end();
+            response.end(body);
           }
           catch(err){
+            if(errorPages.has(500)) return sendError(request,response,500,Object.assign({},options.headers));
             response.writeHead(500,{'Content-Type':'text/plain'});
             response.end(err.message);
           }
         })();
         return;
       }
-      const method=request.method.toLowerCase();
-      if(method!=='head'&&method!=='get'){
-        response.writeHead(405);
+      if(found.error) return sendError(request,response,found.error,Object.assign({},options.headers));
+      if(found.metrics){
+        const method=request.method.toLowerCase();
+        if(method!=='head'&&method!=='get'){
+          return sendError(request,response,405,Object.assign({ 'Allow': 'GET, HEAD' },options.headers));
+        }
+        const body=Buffer.from(metrics.render());
+        response.writeHead(200,Object.assign({},options.headers,{
+          'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+          'Cache-Control': 'no-store',
+          'Content-Length': body.length
+        }));
+        if(method==='head') return response.end();
+        return response.end(body);
+      }
+      if(found.redirect){
+        response.writeHead(found.redirect.status,Object.assign({},options.headers,{ 'Location': found.redirect.location }));
         response.end();
         return;
       }
-      const headers=Object.assign(defaultHeaders, found.headers);
-      if(!found.data){
+      const method=request.method.toLowerCase();
+      if(method!=='head'&&method!=='get'){
+        return sendError(request,response,405,Object.assign({ 'Allow': 'GET, HEAD' },options.headers));
+      }
+      // Directory listings are also available in json.
+      if(found.json&&prefersJson(request.headers)) found=found.json;
+      // The headers of the exported entries already include the default headers.
+      const headers=mergeHeaders(Object.assign({},found.exported?{}:options.headers,found.headers),found.pathHeaders);
+      if(negotiated){
+        const vary=negotiated.vary.join(', ');
+        headers['Vary']=headers['Vary']?`${headers['Vary']}, ${vary}`:vary;
+        if(negotiated.language) headers['Content-Language']=negotiated.language;
+      }
+      if(negotiated&&negotiated.generation){
+        headers[generations.header]=`${negotiated.generation}`;
+        // The responses from a previous generation are not for shared caches.
+        if(negotiated.generation!==generation&&headers['Cache-Control']){
+          headers['Cache-Control']=headers['Cache-Control'].replace('public','private');
+        }
+        // The pages pin the client to their generation, so that their subresources come from the same version.
+        if(generations.cookie&&isHtml(found)){
+          headers['Set-Cookie']=`${generations.cookie}=${negotiated.generation}; Path=${prefix||'/'}; `+
+                                `Max-Age=${generations.maxAge}; SameSite=Lax`;
+        }
+      }
+      if(found.preload&&found.preload.linkHeader){
+        headers['Link']=[ headers['Link'],...found.preload.links ].filter(it=>it).join(', ');
+      }
+      if(!found.data&&!found.file){
         response.writeHead(301,headers);
         response.end();
         return;
       }
-      const etag=request.headers['if-none-match'];
-      if(etag&&etag===found.headers['ETag']){
-        response.writeHead(304,headers);
+      const encoding=bestSupportedEncoding(request.headers,found.data||{ identity: true });
+      if(!encoding){
+        delete headers['Content-Type'];
+        delete headers['ETag'];
+        return sendError(request,response,406,headers);
+      }
+      const tag=found.headers['ETag'];
+      const lastModified=Date.parse(found.headers['Last-Modified']);
+      headers['ETag']=encodedEtag(tag,encoding);
+      const status=preconditions(request.headers,headers['ETag'],lastModified);
+      if(status===412){
+        delete headers['Content-Type'];
+        return sendError(request,response,412,headers);
+      }
+      if(status){
+        response.writeHead(status,headers);
         response.end();
         return;
       }
-      if(found.data.br||found.data.gzip){
-        const encoding=bestSupportedEncoding(request.headers);
-        if(encoding!==Encodings.identity){
-          headers['Content-Encoding']=encoding;
-          headers['Content-Length']=found.data[encoding].length;
-          response.writeHead(200,headers);
-          if(method!=='head') return response.end(found.data[encoding]);
-          return response.end();
+      // The early hints are only sent to HTTP/1.1 and HTTP/2 clients.
+      if(found.preload&&found.preload.earlyHints&&method==='get'&&response.writeEarlyHints&&
+         (request.httpVersionMajor>1||request.httpVersionMinor>0)){
+        try{
+          response.writeEarlyHints({ 'link': found.preload.links });
+        }
+        catch(err){
+          // The early hints are only an optimization, the response is sent without them.
+        }
+      }
+      headers['Accept-Ranges']='bytes';
+      const source=found.data?found.data.identity:found.file.path;
+      const size=found.data?found.data.identity.length:found.file.size;
+      // Ranges always apply to the identity representation, so they are ignored if the client refuses it.
+      const identityAcceptable=encoding===Encodings.identity||
+                               bestSupportedEncoding(request.headers,{ identity: true })===Encodings.identity;
+      const ranges=method==='get'&&identityAcceptable&&matchesIfRange(request.headers['if-range'],tag,lastModified)?
+                   byteRanges(request.headers['range'],size):null;
+      if(ranges){
+        headers['ETag']=tag;
+        if(ranges.length===0){
+          headers['Content-Range']=`bytes */${size}`;
+          delete headers['Content-Type'];
+          return sendError(request,response,416,headers);
+        }
+        if(ranges.length===1){
+          const range=ranges[0];
+          headers['Content-Range']=`bytes ${range.start}-${range.end}/${size}`;
+          headers['Content-Length']=range.end-range.start+1;
+          response.writeHead(206,headers);
+          return writeParts(response,ranges,source);
         }
-        headers['Content-Length']=found.data.identity.length;
+        const boundary=crypto.randomBytes(16).toString('hex');
+        const parts=multipartByteRanges(size,ranges,headers['Content-Type'],boundary);
+        headers['Content-Type']=`multipart/byteranges; boundary=${boundary}`;
+        headers['Content-Length']=partsLength(parts);
+        response.writeHead(206,headers);
+        return writeParts(response,parts,source);
+      }
+      if(encoding!==Encodings.identity){
+        headers['Content-Encoding']=encoding;
+        headers['Content-Length']=found.data[encoding].length;
         response.writeHead(200,headers);
-        if(method!=='head') return response.end(found.data.identity);
+        if(method!=='head') return response.end(found.data[encoding]);
         return response.end();
       }
-      headers['Content-Length']=found.data.identity.length;
+      headers['Content-Length']=size;
       response.writeHead(200,headers);
-      if(method!=='head') return response.end(found.data.identity);
-      return response.end();
+      if(method==='head') return response.end();
+      if(found.data) return response.end(found.data.identity);
+      return writeParts(response,size>0?[ { start: 0, end: size-1 } ]:[],source);
     }
-  };
+  });
+
+};
 
+/**
+ * Processes the files like a handler would, and writes the result to a directory (see exportTo).
+ * @param {DirectoryOptions} options
+ * @param {string} directory
+ * @returns {Promise<Object<string,ExportedEntry>>} the manifest
+ */
+module.exports.build=async (options,directory)=>{
+  const handler=await module.exports(Object.assign({},options,{ watch: false }));
+  try{
+    return await handler.exportTo(directory);
+  }
+  finally{
+    await handler.close();
+  }
 };
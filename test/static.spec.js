@@ -1,5 +1,8 @@
 const assert=require('assert');
 const http=require('http');
+const fs=require('fs');
+const os=require('os');
+const path=require('path');
 const zlib=require('zlib');
 const staticHandler=require('../static');
 
@@ -27,6 +30,95 @@ const br=async compressed=>{
   });
 };
 
+/**
+ * Computes the CRC-32 checksum of the data.
+ * @param {Buffer} data
+ * @returns {number}
+ */
+const crc32=data=>{
+  let crc=-1;
+  for(const byte of data){
+    crc^=byte;
+    for(let i=0;i<8;++i) crc=(crc>>>1)^(0xedb88320&-(crc&1));
+  }
+  return (crc^-1)>>>0;
+};
+
+/**
+ * Removes a directory and its content.
+ * fs.rmSync is not available before node 14.14, and recursive fs.rmdirSync is deprecated after that.
+ * @param {string} dir
+ */
+const removeDirectory=dir=>{
+  if(fs.rmSync) fs.rmSync(dir, { recursive: true, force: true });
+  else fs.rmdirSync(dir, { recursive: true });
+};
+
+/**
+ * Creates a zip archive, with deflated or stored entries. Entries without content are directories.
+ * @param {Array<{name:string,content?:string}>} entries
+ * @param {boolean} deflate
+ * @returns {Buffer}
+ */
+const zipArchive=(entries,deflate)=>{
+  const locals=[];
+  const centrals=[];
+  let offset=0;
+  for(const it of entries){
+    const name=Buffer.from(it.name);
+    const content=Buffer.from(it.content||'');
+    const method=deflate&&it.content!==undefined?8:0;
+    const data=method===8?zlib.deflateRawSync(content,{ level: 1 }):content;
+    const local=Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50,0);
+    local.writeUInt16LE(20,4);
+    local.writeUInt16LE(method,8);
+    local.writeUInt16LE(((2020-1980)<<9)|(1<<5)|1,12);
+    local.writeUInt32LE(crc32(content),14);
+    local.writeUInt32LE(data.length,18);
+    local.writeUInt32LE(content.length,22);
+    local.writeUInt16LE(name.length,26);
+    const central=Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50,0);
+    central.writeUInt16LE(20,4);
+    central.writeUInt16LE(20,6);
+    local.copy(central,10,8,30);
+    central.writeUInt32LE(offset,42);
+    locals.push(local,name,data);
+    centrals.push(central,name);
+    offset+=local.length+name.length+data.length;
+  }
+  const directory=Buffer.concat(centrals);
+  const end=Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50,0);
+  end.writeUInt16LE(entries.length,8);
+  end.writeUInt16LE(entries.length,10);
+  end.writeUInt32LE(directory.length,12);
+  end.writeUInt32LE(offset,16);
+  return Buffer.concat([ ...locals, directory, end ]);
+};
+
+/**
+ * Creates a tar archive. Entries without content are directories.
+ * @param {Array<{name:string,content?:string}>} entries
+ * @returns {Buffer}
+ */
+const tarArchive=entries=>Buffer.concat([ ...entries.map(it=>{
+  const content=Buffer.from(it.content||'');
+  const header=Buffer.alloc(512);
+  header.write(it.name,0);
+  header.write('0000644',100);
+  header.write('0000000',108);
+  header.write('0000000',116);
+  header.write(content.length.toString(8).padStart(11,'0'),124);
+  header.write(Math.floor(Date.now()/1000).toString(8).padStart(11,'0'),136);
+  header.write(it.content===undefined?'5':'0',156);
+  header.write('ustar\u000000',257);
+  header.fill(' ',148,156);
+  header.write(header.reduce((sum,it)=>sum+it,0).toString(8).padStart(6,'0'),148);
+  return Buffer.concat([ header, content, Buffer.alloc((512-content.length%512)%512) ]);
+}), Buffer.alloc(1024) ]);
+
 /**
  * Http methods.
  * @readonly
@@ -64,8 +156,10 @@ const request=(path,method=Methods.get,extraHeaders)=>new Promise((resolve,rejec
   const data=[];
   let status=0;
   let headers=new Map();
+  const informational=[];
   let error=undefined;
   request.on('error', e=>error=e);
+  request.on('information', it=>informational.push({ status: it.statusCode, headers: it.headers }));
   request.on('response', it=>{
     status=it.statusCode;
     Object.keys(it.headers).forEach(h=>{
@@ -79,6 +173,7 @@ const request=(path,method=Methods.get,extraHeaders)=>new Promise((resolve,rejec
       {
         status: status,
         headers: headers,
+        informational: informational,
         body: Buffer.concat(data)
       }
     );
@@ -94,10 +189,15 @@ const request=(path,method=Methods.get,extraHeaders)=>new Promise((resolve,rejec
 const Encodings={
   identity: 'identity',
   gzip: 'gzip',
-  brotli: 'br'
+  brotli: 'br',
+  zstd: 'zstd'
 };
 
 let server;
+/** @type {Array<{accept:function,handle:function}>} */
+const handlers=[];
+let watchedRoot;
+let watchedHandler;
 
 before(async()=>{
   const handler1=await staticHandler({ root: 'test/data' });
@@ -116,11 +216,16 @@ before(async()=>{
       }
     }
   });
+  const handler4=await staticHandler({ root: 'test/data', prefix: '/streamed', streamingThreshold: 100 });
+  watchedRoot=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+  watchedHandler=await staticHandler({ root: watchedRoot, prefix: '/watched', watch: true, watchDelay: 20 });
+  handlers.push(handler1,handler2,handler3,handler4,watchedHandler);
   server=http.createServer((request, response)=>{
-    for(const handler of [handler1,handler2,handler3]){
+    for(const handler of handlers){
       const accepted=handler.accept(
         request, response,
-        'localhost', typeof request.headers['x-non-local'] === 'string' ? '127.0.0.2' : '127.0.0.1',
+        'localhost',
+        request.headers['x-remote-address'] || (typeof request.headers['x-non-local'] === 'string' ? '192.168.0.2' : '127.0.0.1'),
       );
       if (accepted || request.url==='/test') return handler.handle(accepted);
     }
@@ -130,8 +235,10 @@ before(async()=>{
   server.listen(port);
 });
 
-after(()=>{
+after(async()=>{
   server.close();
+  await watchedHandler.close();
+  removeDirectory(watchedRoot);
 });
 
 describe('Status Codes', ()=>{
@@ -255,19 +362,19 @@ describe('Status Codes', ()=>{
       assert.strictEqual(response.headers.get('etag'), expectedETag);
     };
     it('HEAD request to an image file', async()=>{
-      const etag='+X9YZcJ547YGJ7jhunUrmRXjhy3ygUrrIhckuNIy1mY';
+      const etag='"+X9YZcJ547YGJ7jhunUrmRXjhy3ygUrrIhckuNIy1mY"';
       const response=await request('/1px.jpg', Methods.head, { 'if-none-match': etag });
       checkETag(response, etag);
       checkStatus(response, expectedStatusCode);
     });
     it('GET request to a directory index file', async()=>{
-      const etag='+mVoTaHNjZDSLTD3Ea4xva9BSDMmAMD5uxS-ZXtGhuQ';
+      const etag='"+mVoTaHNjZDSLTD3Ea4xva9BSDMmAMD5uxS-ZXtGhuQ"';
       const response=await request('/dir1/dir3/', Methods.head, { 'if-none-match': etag });
       checkETag(response, etag);
       checkStatus(response, expectedStatusCode);
     });
     it('HEAD request to a javascript file', async()=>{
-      const etag='UaJyO4VLYBzsVKv4mTmX4hzIusgqyWgRaYA--nkxjI8';
+      const etag='"UaJyO4VLYBzsVKv4mTmX4hzIusgqyWgRaYA--nkxjI8"';
       const response=await request('/other/dir1/script.js', Methods.head, { 'if-none-match': etag });
       checkETag(response, etag);
       checkStatus(response, expectedStatusCode);
@@ -494,3 +601,2059 @@ describe('Synchronization endpoint', ()=>{
     });
   });
 });
+
+describe('Range requests', ()=>{
+  it('GET request with a single range', async()=>{
+    const response=await request('/other/data.json', Methods.get, { 'Range': 'bytes=1-6', 'Accept-Encoding': Encodings.brotli });
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(response.headers.get('content-range'), 'bytes 1-6/14');
+    assert.strictEqual(response.headers.get('content-encoding'), undefined);
+    assert.strictEqual(response.body.toString(), '"root"');
+  });
+  it('GET request with a suffix range', async()=>{
+    const response=await request('/other/data.json', Methods.get, { 'Range': 'bytes=-6' });
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(response.headers.get('content-range'), 'bytes 8-13/14');
+    assert.strictEqual(response.body.toString(), 'true}\n');
+  });
+  it('GET request with multiple ranges', async()=>{
+    const response=await request('/other/data.json', Methods.get, { 'Range': 'bytes=0-0,8-11' });
+    assert.strictEqual(response.status, 206);
+    const contentType=response.headers.get('content-type');
+    assert.ok(contentType.startsWith('multipart/byteranges; boundary='));
+    const boundary=contentType.substring(contentType.indexOf('=')+1);
+    const body=response.body.toString();
+    assert.strictEqual(parseInt(response.headers.get('content-length')), response.body.length);
+    assert.ok(body.includes(`--${boundary}\r\nContent-Type: application/json\r\nContent-Range: bytes 0-0/14\r\n\r\n{\r\n`));
+    assert.ok(body.includes(`--${boundary}\r\nContent-Type: application/json\r\nContent-Range: bytes 8-11/14\r\n\r\ntrue\r\n`));
+    assert.ok(body.endsWith(`--${boundary}--\r\n`));
+  });
+  it('GET request with overlapping ranges', async()=>{
+    const response=await request('/other/data.json', Methods.get, { 'Range': 'bytes=0-3,2-6' });
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(response.headers.get('content-range'), 'bytes 0-6/14');
+  });
+  it('GET request with an unsatisfiable range', async()=>{
+    const response=await request('/other/data.json', Methods.get, { 'Range': 'bytes=14-' });
+    assert.strictEqual(response.status, 416);
+    assert.strictEqual(response.headers.get('content-range'), 'bytes */14');
+  });
+  it('GET request with an invalid range', async()=>{
+    const response=await request('/other/data.json', Methods.get, { 'Range': 'bytes=6-1' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('accept-ranges'), 'bytes');
+  });
+  it('GET request with a matching If-Range', async()=>{
+    const etag=(await request('/other/data.json', Methods.head)).headers.get('etag');
+    const response=await request('/other/data.json', Methods.get, { 'Range': 'bytes=0-0', 'If-Range': etag });
+    assert.strictEqual(response.status, 206);
+  });
+  it('GET request with a stale If-Range', async()=>{
+    const response=await request('/other/data.json', Methods.get, { 'Range': 'bytes=0-0', 'If-Range': 'stale' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.length, 14);
+  });
+  it('HEAD request with a range', async()=>{
+    const response=await request('/other/data.json', Methods.head, { 'Range': 'bytes=0-0' });
+    assert.strictEqual(response.status, 200);
+  });
+});
+
+describe('Streamed files', ()=>{
+  it('GET request to a file above the threshold', async()=>{
+    const response=await request('/streamed/1px.jpg', Methods.get);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(parseInt(response.headers.get('content-length')), 1227);
+    assert.ok(response.body.equals(fs.readFileSync('test/data/1px.jpg')));
+  });
+  it('HEAD request to a file above the threshold', async()=>{
+    const response=await request('/streamed/1px.png', Methods.head);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(parseInt(response.headers.get('content-length')), 924);
+    assert.strictEqual(response.body.length, 0);
+  });
+  it('GET request to a compressible file above the threshold', async()=>{
+    const response=await request('/streamed/dir1/', Methods.get, { 'Accept-Encoding': Encodings.brotli });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-encoding'), undefined);
+    assert.strictEqual(response.body.toString(), fs.readFileSync('test/data/dir1/index.html').toString());
+  });
+  it('GET request to a file below the threshold', async()=>{
+    const response=await request('/streamed/data.json', Methods.get, { 'Accept-Encoding': Encodings.brotli });
+    assert.strictEqual(response.headers.get('content-encoding'), Encodings.brotli);
+  });
+  it('HEAD request with the ETag of a file above the threshold', async()=>{
+    const etag='"+X9YZcJ547YGJ7jhunUrmRXjhy3ygUrrIhckuNIy1mY"';
+    const response=await request('/streamed/1px.jpg', Methods.head, { 'if-none-match': etag });
+    assert.strictEqual(response.status, 304);
+    assert.strictEqual(response.headers.get('etag'), etag);
+  });
+  it('GET request with a range to a file above the threshold', async()=>{
+    const response=await request('/streamed/1px.jpg', Methods.get, { 'Range': 'bytes=0-9,-10' });
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(parseInt(response.headers.get('content-length')), response.body.length);
+    const data=fs.readFileSync('test/data/1px.jpg');
+    assert.ok(response.body.includes(data.subarray(0,10)));
+    assert.ok(response.body.includes(data.subarray(1217)));
+  });
+});
+
+describe('Aborted downloads', ()=>{
+  let root;
+  let file;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    file=path.join(root, 'large.bin');
+    fs.writeFileSync(file, Buffer.alloc(5*1024*1024, 1));
+    handlers.push(await staticHandler({ root: root, prefix: '/aborted', streamingThreshold: 100 }));
+  });
+  after(async()=>{
+    removeDirectory(root);
+  });
+  /**
+   * Lists the paths of the files currently opened by the process.
+   * @returns {string[]}
+   */
+  const openedFiles=()=>fs.readdirSync('/proc/self/fd').map(it=>{
+    try{
+      return fs.readlinkSync(`/proc/self/fd/${it}`);
+    }
+    catch(_){
+      return null;
+    }
+  });
+  it('GET request aborted during the transfer of a streamed file', async function(){
+    if(!fs.existsSync('/proc/self/fd')) return this.skip();
+    await new Promise((resolve,reject)=>{
+      const req=http.get(`http://localhost:${port}/aborted/large.bin`, response=>{
+        response.once('data', ()=>{
+          req.destroy();
+          resolve();
+        });
+      });
+      req.on('error', err=>{ if(!req.destroyed) reject(err); });
+    });
+    await new Promise(resolve=>setTimeout(resolve, 200));
+    const realPath=fs.realpathSync(file);
+    assert.ok(!openedFiles().includes(realPath));
+  });
+});
+
+describe('Watched directory', ()=>{
+  /**
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  const delay=ms=>new Promise(resolve=>setTimeout(resolve, ms));
+  /**
+   * Repeats the request until the expected status is returned or the attempts are exhausted.
+   * @param {string} path
+   * @param {number} expectedStatusCode
+   * @returns {Promise<Response>}
+   */
+  const poll=async(path, expectedStatusCode)=>{
+    let response;
+    for(let i=0; i<30; ++i){
+      response=await request(path, Methods.get);
+      if(response.status===expectedStatusCode) break;
+      await delay(50);
+    }
+    return response;
+  };
+  it('GET request to a file added after the initial synchronization', async()=>{
+    assert.strictEqual((await request('/watched/new.txt', Methods.get)).status, 404);
+    fs.writeFileSync(path.join(watchedRoot, 'new.txt'), 'new');
+    const response=await poll('/watched/new.txt', 200);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.toString(), 'new');
+  });
+  it('GET request to a modified file', async()=>{
+    fs.writeFileSync(path.join(watchedRoot, 'new.txt'), 'modified');
+    let response;
+    for(let i=0; i<30; ++i){
+      response=await request('/watched/new.txt', Methods.get);
+      if(response.body.toString()==='modified') break;
+      await delay(50);
+    }
+    assert.strictEqual(response.body.toString(), 'modified');
+  });
+  it('GET request to a removed file', async()=>{
+    fs.unlinkSync(path.join(watchedRoot, 'new.txt'));
+    const response=await poll('/watched/new.txt', 404);
+    assert.strictEqual(response.status, 404);
+  });
+  it('GET request to a file in a root that was removed and created again', async function(){
+    this.timeout(5000);
+    const root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    const handler=await staticHandler({ root: root, prefix: '/recreated', watch: true, watchDelay: 20 });
+    const errors=[];
+    handler.on('syncError', err=>errors.push(err));
+    handlers.push(handler);
+    try{
+      fs.rmdirSync(root);
+      await delay(200);
+      fs.mkdirSync(root);
+      fs.writeFileSync(path.join(root, 'recreated.txt'), 'recreated');
+      let response;
+      for(let i=0; i<60; ++i){
+        response=await request('/recreated/recreated.txt', Methods.get);
+        if(response.status===200) break;
+        await delay(50);
+      }
+      assert.strictEqual(response.status, 200);
+      assert.ok(errors.length>0);
+      assert.ok(errors.every(it=>it.code==='ENOENT'));
+    }
+    finally{
+      await handler.close();
+      removeDirectory(root);
+    }
+  });
+  it('GET request to a file added after closing the handler', async()=>{
+    await watchedHandler.close();
+    fs.writeFileSync(path.join(watchedRoot, 'closed.txt'), 'closed');
+    await delay(200);
+    assert.strictEqual((await request('/watched/closed.txt', Methods.get)).status, 404);
+  });
+});
+
+describe('Incremental synchronization', ()=>{
+  let root;
+  let handler;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.mkdirSync(path.join(root, 'dir'));
+    fs.writeFileSync(path.join(root, 'a.txt'), 'a');
+    fs.writeFileSync(path.join(root, 'dir', 'b.txt'), 'b');
+    handler=await staticHandler({ root: root, prefix: '/incremental' });
+  });
+  after(async()=>{
+    await handler.close();
+    removeDirectory(root);
+  });
+  it('synchronization without changes', async()=>{
+    const report=await handler.sync();
+    assert.deepStrictEqual(report, { added: [], changed: [], removed: [] });
+  });
+  it('synchronization after a modification time change without content change', async()=>{
+    const date=new Date(Date.now()+60000);
+    fs.utimesSync(path.join(root, 'a.txt'), date, date);
+    const report=await handler.sync();
+    assert.deepStrictEqual(report, { added: [], changed: [], removed: [] });
+  });
+  it('synchronization after changes', async()=>{
+    fs.writeFileSync(path.join(root, 'a.txt'), 'modified');
+    fs.writeFileSync(path.join(root, 'dir', 'c.txt'), 'c');
+    fs.unlinkSync(path.join(root, 'dir', 'b.txt'));
+    const report=await handler.sync();
+    assert.deepStrictEqual(report, {
+      added: [ '/incremental/dir/c.txt' ],
+      changed: [ '/incremental/a.txt' ],
+      removed: [ '/incremental/dir/b.txt' ]
+    });
+  });
+  it('overlapping synchronizations', async()=>{
+    const events=[];
+    const started=()=>events.push('start');
+    const finished=()=>events.push('finish');
+    handler.on('syncStart', started).on('syncFinish', finished);
+    fs.writeFileSync(path.join(root, 'a.txt'), 'overlapping');
+    const [ first, second, third ]=await Promise.all([ handler.sync(), handler.sync(), handler.sync() ]);
+    handler.off('syncStart', started).off('syncFinish', finished);
+    assert.deepStrictEqual(events, [ 'start', 'finish', 'start', 'finish' ]);
+    assert.deepStrictEqual(first.changed, [ '/incremental/a.txt' ]);
+    assert.deepStrictEqual(second, { added: [], changed: [], removed: [] });
+    assert.strictEqual(third, second);
+    assert.strictEqual(handler.memoryUsage().entries, 2);
+  });
+});
+
+describe('Precompressed files', ()=>{
+  let root;
+  let cacheDir;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    cacheDir=fs.mkdtempSync(path.join(os.tmpdir(), 'static-cache-'));
+    fs.writeFileSync(path.join(root, 'app.js'), 'original');
+    fs.writeFileSync(path.join(root, 'app.js.br'), zlib.brotliCompressSync('sidecar'));
+    fs.writeFileSync(path.join(root, 'app.js.zst'), 'zstd sidecar');
+    fs.writeFileSync(path.join(root, 'stale.js'), 'original');
+    fs.writeFileSync(path.join(root, 'stale.js.gz'), zlib.gzipSync('stale'));
+    const date=new Date(Date.now()-60000);
+    fs.utimesSync(path.join(root, 'stale.js.gz'), date, date);
+    fs.writeFileSync(path.join(root, 'cached.css'), 'original');
+    handlers.push(await staticHandler({ root: root, prefix: '/precompressed', precompressed: true }));
+    await staticHandler({ root: root, prefix: '/compression-cache', compressionCache: cacheDir });
+    // Replaces the cached compression output to check that it is used instead of compressing again.
+    for(const name of fs.readdirSync(cacheDir).filter(it=>it.endsWith('.gzip'))){
+      fs.writeFileSync(path.join(cacheDir, name), zlib.gzipSync('cached'));
+    }
+    handlers.push(await staticHandler({ root: root, prefix: '/compression-cache', compressionCache: cacheDir }));
+  });
+  after(()=>{
+    removeDirectory(root);
+    removeDirectory(cacheDir);
+  });
+  it('GET request with a brotli sidecar file', async()=>{
+    const response=await request('/precompressed/app.js', Methods.get, { 'Accept-Encoding': Encodings.brotli });
+    assert.strictEqual(response.headers.get('content-encoding'), Encodings.brotli);
+    assert.strictEqual((await br(response.body)).toString(), 'sidecar');
+  });
+  it('GET request with a zstd sidecar file', async()=>{
+    const response=await request('/precompressed/app.js', Methods.get, { 'Accept-Encoding': 'zstd' });
+    assert.strictEqual(response.headers.get('content-encoding'), 'zstd');
+    assert.strictEqual(response.body.toString(), 'zstd sidecar');
+  });
+  it('GET request without a gzip sidecar file', async()=>{
+    const response=await request('/precompressed/app.js', Methods.get, { 'Accept-Encoding': Encodings.gzip });
+    assert.strictEqual(response.headers.get('content-encoding'), Encodings.gzip);
+    assert.strictEqual((await gz(response.body)).toString(), 'original');
+  });
+  it('GET request to a sidecar file', async()=>{
+    const response=await request('/precompressed/app.js.br', Methods.get);
+    assert.strictEqual(response.status, 404);
+  });
+  it('GET request with a stale sidecar file', async()=>{
+    const response=await request('/precompressed/stale.js', Methods.get, { 'Accept-Encoding': Encodings.gzip });
+    assert.strictEqual((await gz(response.body)).toString(), 'original');
+  });
+  it('GET request with a compression cache', async()=>{
+    const response=await request('/compression-cache/cached.css', Methods.get, { 'Accept-Encoding': Encodings.gzip });
+    assert.strictEqual((await gz(response.body)).toString(), 'cached');
+  });
+  it('GET request with a compression cache ignoring sidecar files', async()=>{
+    const response=await request('/compression-cache/app.js', Methods.get, { 'Accept-Encoding': Encodings.brotli });
+    assert.strictEqual((await br(response.body)).toString(), 'original');
+  });
+});
+
+describe('Content negotiation', ()=>{
+  /**
+   * @param {Response} response
+   * @param {Encodings} expectedEncoding
+   */
+  const checkContentEncoding=(response, expectedEncoding)=>{
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-encoding'), expectedEncoding === Encodings.identity ? undefined : expectedEncoding);
+  };
+  it('GET request with a refused encoding', async()=>{
+    const response=await request('/data.json', Methods.get, { 'Accept-Encoding': 'br;q=0, gzip' });
+    checkContentEncoding(response, Encodings.gzip);
+  });
+  it('GET request with weighted encodings', async()=>{
+    const response=await request('/data.json', Methods.get, { 'Accept-Encoding': 'br;q=0.5, gzip;q=0.8' });
+    checkContentEncoding(response, Encodings.gzip);
+  });
+  it('GET request with an uppercase encoding', async()=>{
+    const response=await request('/data.json', Methods.get, { 'Accept-Encoding': 'GZIP' });
+    checkContentEncoding(response, Encodings.gzip);
+  });
+  it('GET request with a wildcard and exclusions', async()=>{
+    const response=await request('/data.json', Methods.get, { 'Accept-Encoding': '*, br;q=0, zstd;q=0' });
+    checkContentEncoding(response, Encodings.gzip);
+    assert.strictEqual((await gz(response.body)).toString().trim(), '{"root":true}');
+  });
+  it('GET request with a refused wildcard', async()=>{
+    const response=await request('/data.json', Methods.get, { 'Accept-Encoding': '*;q=0, identity' });
+    checkContentEncoding(response, Encodings.identity);
+  });
+  it('GET request with an empty header', async()=>{
+    const response=await request('/data.json', Methods.get, { 'Accept-Encoding': '' });
+    checkContentEncoding(response, Encodings.identity);
+  });
+  it('GET request with an unsupported encoding only', async()=>{
+    const response=await request('/data.json', Methods.get, { 'Accept-Encoding': 'compress' });
+    checkContentEncoding(response, Encodings.identity);
+  });
+  it('GET request refusing identity for a file that is not compressed', async()=>{
+    const response=await request('/1px.png', Methods.get, { 'Accept-Encoding': 'gzip, identity;q=0' });
+    assert.strictEqual(response.status, 406);
+  });
+  it('GET request refusing all encodings', async()=>{
+    const response=await request('/data.json', Methods.get, { 'Accept-Encoding': '*;q=0' });
+    assert.strictEqual(response.status, 406);
+  });
+  it('GET request with a range refusing identity', async()=>{
+    const response=await request('/data.json', Methods.get, { 'Accept-Encoding': 'gzip, identity;q=0', 'Range': 'bytes=0-1' });
+    checkContentEncoding(response, Encodings.gzip);
+  });
+  it('GET request preferring zstd', async function(){
+    if(!zlib.zstdCompress) this.skip();
+    const response=await request('/data.json', Methods.get, { 'Accept-Encoding': 'zstd, gzip;q=0.5' });
+    checkContentEncoding(response, Encodings.zstd);
+    assert.strictEqual(zlib.zstdDecompressSync(response.body).toString().trim(), '{"root":true}');
+  });
+});
+
+describe('Conditional requests', ()=>{
+  const path='/dir2/info.txt';
+  let etag;
+  let lastModified;
+  before(async()=>{
+    const response=await request(path, Methods.head);
+    etag=response.headers.get('etag');
+    lastModified=response.headers.get('last-modified');
+  });
+  /**
+   * @param {Object<string,string>} headers
+   * @param {number} expectedStatusCode
+   * @returns {Promise<Response>}
+   */
+  const checkStatus=async(headers, expectedStatusCode)=>{
+    const response=await request(path, Methods.get, headers);
+    assert.strictEqual(response.status, expectedStatusCode);
+    return response;
+  };
+  const earlier=()=>new Date(Date.parse(lastModified)-1000).toUTCString();
+  const later=()=>new Date(Date.parse(lastModified)+1000).toUTCString();
+  describe('ETag and Last-Modified', ()=>{
+    it('HEAD request returns a strong ETag', async()=>{
+      assert.ok(/^"[^"]+"$/.test(etag));
+    });
+    it('HEAD request returns the file modification date', async()=>{
+      const mtime=fs.statSync('test/data/dir2/info.txt').mtime;
+      assert.strictEqual(lastModified, new Date(Math.floor(mtime.getTime()/1000)*1000).toUTCString());
+    });
+    it('GET requests with different encodings have different ETags', async()=>{
+      const etags=new Set();
+      for(const encoding of [ Encodings.identity, Encodings.gzip, Encodings.brotli ]){
+        const response=await request(path, Methods.get, { 'Accept-Encoding': encoding });
+        etags.add(response.headers.get('etag'));
+      }
+      assert.strictEqual(etags.size, 3);
+    });
+  });
+  describe('If-None-Match and If-Modified-Since', ()=>{
+    it('GET request with a list of ETags', async()=>{
+      const response=await checkStatus({ 'If-None-Match': `"other", ${etag}` }, 304);
+      assert.strictEqual(response.headers.get('etag'), etag);
+    });
+    it('GET request with a weak ETag', async()=>{
+      await checkStatus({ 'If-None-Match': `W/${etag}` }, 304);
+    });
+    it('GET request with a wildcard', async()=>{
+      await checkStatus({ 'If-None-Match': '*' }, 304);
+    });
+    it('GET request with the ETag of another encoding', async()=>{
+      const response=await checkStatus({ 'If-None-Match': etag, 'Accept-Encoding': Encodings.brotli }, 200);
+      assert.notStrictEqual(response.headers.get('etag'), etag);
+      await checkStatus({ 'If-None-Match': response.headers.get('etag'), 'Accept-Encoding': Encodings.brotli }, 304);
+    });
+    it('GET request with the same modification date', async()=>{
+      await checkStatus({ 'If-Modified-Since': lastModified }, 304);
+    });
+    it('GET request with an earlier modification date', async()=>{
+      await checkStatus({ 'If-Modified-Since': earlier() }, 200);
+    });
+    it('GET request with an invalid modification date', async()=>{
+      await checkStatus({ 'If-Modified-Since': 'invalid' }, 200);
+    });
+    it('GET request with a non matching ETag and a later modification date', async()=>{
+      await checkStatus({ 'If-None-Match': '"other"', 'If-Modified-Since': later() }, 200);
+    });
+  });
+  describe('If-Match and If-Unmodified-Since', ()=>{
+    it('GET request with a matching ETag', async()=>{
+      await checkStatus({ 'If-Match': etag }, 200);
+    });
+    it('GET request with a wildcard', async()=>{
+      await checkStatus({ 'If-Match': '*' }, 200);
+    });
+    it('GET request with a non matching ETag', async()=>{
+      await checkStatus({ 'If-Match': '"other"' }, 412);
+    });
+    it('GET request with a weak ETag', async()=>{
+      await checkStatus({ 'If-Match': `W/${etag}` }, 412);
+    });
+    it('GET request with an earlier modification date', async()=>{
+      await checkStatus({ 'If-Unmodified-Since': earlier() }, 412);
+    });
+    it('GET request with a later modification date', async()=>{
+      await checkStatus({ 'If-Unmodified-Since': later() }, 200);
+    });
+    it('GET request with a matching ETag and an earlier modification date', async()=>{
+      await checkStatus({ 'If-Match': etag, 'If-Unmodified-Since': earlier() }, 200);
+    });
+    it('GET request with a non matching ETag and a matching If-None-Match', async()=>{
+      await checkStatus({ 'If-Match': '"other"', 'If-None-Match': etag }, 412);
+    });
+  });
+  describe('If-Range', ()=>{
+    it('GET request with the modification date', async()=>{
+      await checkStatus({ 'Range': 'bytes=0-1', 'If-Range': lastModified }, 206);
+    });
+    it('GET request with another date', async()=>{
+      await checkStatus({ 'Range': 'bytes=0-1', 'If-Range': earlier() }, 200);
+    });
+    it('GET request with a weak ETag', async()=>{
+      await checkStatus({ 'Range': 'bytes=0-1', 'If-Range': `W/${etag}` }, 200);
+    });
+    it('GET request with the ETag and a compressed encoding', async()=>{
+      const response=await checkStatus({ 'Range': 'bytes=0-1', 'If-Range': etag, 'Accept-Encoding': Encodings.gzip }, 206);
+      assert.strictEqual(response.headers.get('etag'), etag);
+    });
+  });
+});
+
+describe('Directory listing', ()=>{
+  before(async()=>{
+    handlers.push(await staticHandler({ root: 'test/data', prefix: '/autoindex', autoindex: true }));
+  });
+  it('GET request to a directory without an index file', async()=>{
+    const response=await request('/autoindex/dir2/', Methods.get);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'text/html');
+    assert.ok(response.headers.get('vary').split(/,\s*/).includes('Accept'));
+    const body=response.body.toString();
+    assert.ok(body.includes('<a href="data.json">data.json</a>'));
+    assert.ok(body.includes('<a href="info.txt">info.txt</a>'));
+    assert.ok(body.includes('<a href="../">../</a>'));
+    assert.ok(!body.includes('.hidden.txt'));
+    assert.ok(!body.includes('not.served'));
+  });
+  it('GET request to a directory without an index file and without the trailing slash', async()=>{
+    const response=await request('/autoindex/dir2', Methods.get);
+    assert.strictEqual(response.status, 301);
+    assert.strictEqual(response.headers.get('location'), '/autoindex/dir2/');
+  });
+  it('GET request to a directory without an index file in json', async()=>{
+    const response=await request('/autoindex/dir2/', Methods.get, { 'Accept': 'application/json', 'Accept-Encoding': Encodings.gzip });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'application/json');
+    assert.strictEqual(response.headers.get('content-encoding'), Encodings.gzip);
+    const items=JSON.parse((await gz(response.body)).toString());
+    assert.deepStrictEqual(items.map(it=>[ it.name, it.size, it.type ]), [
+      [ 'data.json', 14, 'application/json' ],
+      [ 'info.txt', 5, 'text/plain' ]
+    ]);
+    assert.strictEqual(items[1].modified, fs.statSync('test/data/dir2/info.txt').mtime.toISOString());
+  });
+  it('GET request to a directory without an index file preferring html', async()=>{
+    const response=await request('/autoindex/dir2/', Methods.get, { 'Accept': 'text/html, application/json;q=0.9' });
+    assert.strictEqual(response.headers.get('content-type'), 'text/html');
+  });
+  it('GET request to a directory with an index file', async()=>{
+    const response=await request('/autoindex/dir1/', Methods.get, { 'Accept': 'application/json' });
+    assert.strictEqual(response.headers.get('content-type'), 'text/html');
+    assert.ok(response.body.toString().includes('Index Dir1'));
+  });
+  it('GET request to a directory without an index file when the listing is disabled', async()=>{
+    const response=await request('/dir2/', Methods.get);
+    assert.strictEqual(response.status, 404);
+  });
+});
+
+describe('Single-page app fallback', ()=>{
+  before(async()=>{
+    handlers.push(await staticHandler({ root: 'test/data', prefix: '/spa', spaFallback: 'index.html' }));
+  });
+  it('GET request to a client-side route', async()=>{
+    const expected=await request('/spa/', Methods.get, { 'Accept-Encoding': Encodings.brotli });
+    const response=await request('/spa/app/settings/profile', Methods.get, { 'Accept-Encoding': Encodings.brotli });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'text/html');
+    assert.strictEqual(response.headers.get('content-encoding'), Encodings.brotli);
+    assert.strictEqual(response.headers.get('etag'), expected.headers.get('etag'));
+    assert.ok((await br(response.body)).toString().includes('Index Root'));
+  });
+  it('HEAD request to a client-side route from a browser', async()=>{
+    const response=await request('/spa/app?tab=1', Methods.head, { 'Accept': 'text/html,application/xhtml+xml,*/*;q=0.8' });
+    assert.strictEqual(response.status, 200);
+  });
+  it('GET request to a missing asset', async()=>{
+    const response=await request('/spa/app/missing.js', Methods.get);
+    assert.strictEqual(response.status, 404);
+  });
+  it('GET request to a client-side route that does not accept html', async()=>{
+    const response=await request('/spa/app/settings', Methods.get, { 'Accept': 'application/json' });
+    assert.strictEqual(response.status, 404);
+  });
+  it('DELETE request to a client-side route', async()=>{
+    const response=await request('/spa/app/settings', Methods.delete);
+    assert.strictEqual(response.status, 404);
+  });
+  it('GET request to a path outside the prefix', async()=>{
+    const response=await request('/spa-other/app', Methods.get);
+    assert.strictEqual(response.status, 404);
+  });
+  it('GET request to the synchronization endpoint', async()=>{
+    const response=await request('/spa/sync', Methods.get);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'application/json');
+  });
+
+});
+
+describe('Custom error pages', ()=>{
+  let root;
+  before(async()=>{
+    handlers.push(await staticHandler({
+      root: 'test/data',
+      prefix: '/errors',
+      errorPages: { 404: '404.html', 405: '405.html' },
+      handleNotFound: true
+    }));
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.writeFileSync(path.join(root, '500.html'), 'Internal Server Error');
+    handlers.push(await staticHandler({ root: root, prefix: '/failing', errorPages: { 500: '500.html' } }));
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  it('GET request to a missing file', async()=>{
+    const response=await request('/errors/missing.html', Methods.get, { 'Accept-Encoding': Encodings.gzip });
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(response.headers.get('content-type'), 'text/html');
+    assert.strictEqual(response.headers.get('content-encoding'), Encodings.gzip);
+    assert.strictEqual(response.headers.get('x-content-type-options'), 'nosniff');
+    assert.ok((await gz(response.body)).toString().includes('Not Found'));
+  });
+  it('HEAD request to a missing file', async()=>{
+    const response=await request('/errors/dir1/missing', Methods.head);
+    assert.strictEqual(response.status, 404);
+    assert.ok(parseInt(response.headers.get('content-length'))>0);
+    assert.strictEqual(response.body.length, 0);
+  });
+  it('DELETE request to an existing file', async()=>{
+    const response=await request('/errors/1px.jpg', Methods.delete);
+    assert.strictEqual(response.status, 405);
+    assert.strictEqual(response.headers.get('allow'), 'GET, HEAD');
+    assert.ok(response.body.toString().includes('Method Not Allowed'));
+  });
+  it('GET request to an existing file', async()=>{
+    const response=await request('/errors/dir2/info.txt', Methods.get);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.toString().trim(), 'info');
+  });
+  it('GET request to a missing file outside the prefix', async()=>{
+    const response=await request('/errors-other/missing.html', Methods.get);
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(response.body.length, 0);
+  });
+  it('GET request to the synchronization endpoint when the synchronization fails', async()=>{
+    const moved=`${root}-moved`;
+    fs.renameSync(root, moved);
+    try{
+      const response=await request('/failing/sync', Methods.get);
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(response.body.toString(), 'Internal Server Error');
+    }
+    finally{
+      fs.renameSync(moved, root);
+    }
+  });
+});
+
+describe('Header rules', ()=>{
+  let root;
+  let handler;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.mkdirSync(path.join(root, 'embed'));
+    fs.mkdirSync(path.join(root, 'assets', 'deep'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'index.html'), 'index');
+    fs.writeFileSync(path.join(root, 'a.html'), 'a');
+    fs.writeFileSync(path.join(root, 'embed', 'page.html'), 'page');
+    fs.writeFileSync(path.join(root, 'assets', 'deep', 'x.css'), 'x');
+    fs.writeFileSync(path.join(root, '_headers'), [
+      '# comment',
+      '/embed/*',
+      '  ! X-Frame-Options',
+      '  Content-Security-Policy: frame-ancestors *',
+      '/assets/*',
+      '  Cache-Control: public,max-age=31536000,immutable',
+      ''
+    ].join('\n'));
+    handler=await staticHandler({
+      root: root,
+      prefix: '/rules',
+      headerRules: [
+        { path: '/assets/**', headers: { 'X-Asset': 'true' } },
+        { path: '/:page.html', headers: { 'X-Page': 'top' } }
+      ]
+    });
+    handlers.push(handler);
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  it('GET request to a path with a removed header', async()=>{
+    const response=await request('/rules/embed/page.html', Methods.get);
+    assert.strictEqual(response.headers.get('x-frame-options'), undefined);
+    assert.strictEqual(response.headers.get('content-security-policy'), 'frame-ancestors *');
+    assert.strictEqual(response.headers.get('x-page'), undefined);
+  });
+  it('GET request to a path with an overridden header', async()=>{
+    const response=await request('/rules/assets/deep/x.css', Methods.get);
+    assert.strictEqual(response.headers.get('cache-control'), 'public,max-age=31536000,immutable');
+    assert.strictEqual(response.headers.get('x-asset'), 'true');
+    assert.strictEqual(response.headers.get('x-frame-options'), 'DENY');
+  });
+  it('GET request to a path matching a placeholder', async()=>{
+    const response=await request('/rules/a.html', Methods.get);
+    assert.strictEqual(response.headers.get('x-page'), 'top');
+    assert.strictEqual(response.headers.get('cache-control'), 'public,no-cache');
+  });
+  it('GET request to a path without rules', async()=>{
+    const response=await request('/rules/', Methods.get);
+    assert.strictEqual(response.headers.get('x-page'), undefined);
+    assert.strictEqual(response.headers.get('x-frame-options'), 'DENY');
+  });
+  it('GET request to the _headers file', async()=>{
+    const response=await request('/rules/_headers', Methods.get);
+    assert.strictEqual(response.status, 404);
+  });
+  it('GET request after a change of the _headers file', async()=>{
+    fs.writeFileSync(path.join(root, '_headers'), '/a.html\n  X-Page: changed\n');
+    const report=await handler.sync();
+    assert.deepStrictEqual(report.changed, [
+      '/rules/a.html', '/rules/assets/deep', '/rules/assets/deep/x.css', '/rules/embed/page.html'
+    ]);
+    const response=await request('/rules/a.html', Methods.get);
+    assert.strictEqual(response.headers.get('x-page'), 'changed');
+  });
+});
+
+describe('Redirect and rewrite rules', ()=>{
+  let root;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.mkdirSync(path.join(root, 'blog'));
+    fs.writeFileSync(path.join(root, 'index.html'), 'index');
+    fs.writeFileSync(path.join(root, 'blog', 'post.html'), 'post');
+    fs.writeFileSync(path.join(root, '_redirects'), [
+      '# comment',
+      '/news/*  /blog/:splat  302',
+      '/legacy  https://example.com/legacy?from=static  308',
+      '/latest  /blog/post.html  200',
+      ''
+    ].join('\n'));
+    handlers.push(await staticHandler({
+      root: root,
+      prefix: '/redirects',
+      redirects: [
+        { from: '/posts/:year/:slug', to: '/blog/:slug.html', status: 301 },
+        { from: '/temporary', to: '/', status: 307 }
+      ]
+    }));
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  it('GET request to a path matching placeholders', async()=>{
+    const response=await request('/redirects/posts/2021/post', Methods.get);
+    assert.strictEqual(response.status, 301);
+    assert.strictEqual(response.headers.get('location'), '/redirects/blog/post.html');
+  });
+  it('POST request to a temporary redirect', async()=>{
+    const response=await request('/redirects/temporary', 'post');
+    assert.strictEqual(response.status, 307);
+    assert.strictEqual(response.headers.get('location'), '/redirects/');
+  });
+  it('GET request to a path matching a splat with a query string', async()=>{
+    const response=await request('/redirects/news/a/b?page=2#top', Methods.get);
+    assert.strictEqual(response.status, 302);
+    assert.strictEqual(response.headers.get('location'), '/redirects/blog/a/b?page=2');
+  });
+  it('GET request to an external redirect with a query string', async()=>{
+    const response=await request('/redirects/legacy?page=2', Methods.get);
+    assert.strictEqual(response.status, 308);
+    assert.strictEqual(response.headers.get('location'), 'https://example.com/legacy?from=static&page=2');
+  });
+  it('GET request to a rewritten path', async()=>{
+    const response=await request('/redirects/latest', Methods.get);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.toString(), 'post');
+  });
+  it('GET request to a path without rules', async()=>{
+    const response=await request('/redirects/blog/post.html', Methods.get);
+    assert.strictEqual(response.status, 200);
+  });
+  it('redirect to a local path starting with slashes', async()=>{
+    const handler=await staticHandler({ root: root, prefix: '', redirects: [ { from: '/old/*', to: '/:splat' } ] });
+    for(const url of [ '/old//evil.example/x', '/old/\\\\evil.example/x', '/old/\\evil.example/x' ]){
+      const [ found ]=handler.accept({ url: url, headers: {} }, null, 'localhost', '127.0.0.1');
+      assert.strictEqual(found.redirect.status, 301);
+      assert.strictEqual(found.redirect.location, '/evil.example/x');
+    }
+  });
+});
+
+describe('Synchronization endpoint configuration', ()=>{
+  let root;
+  const token='secret-token';
+  const hmacSecret='hmac-secret';
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.writeFileSync(path.join(root, 'a.txt'), 'a');
+    fs.writeFileSync(path.join(root, 'b.txt'), 'b');
+    handlers.push(await staticHandler({
+      root: root,
+      prefix: '/secured',
+      syncEndpoint: { path: '/hooks/resync', methods: [ 'POST' ], allow: [ '10.0.0.0/8', '127.0.0.1', 'fd00::/8' ], token: token }
+    }));
+    handlers.push(await staticHandler({ root: root, prefix: '/signed', syncEndpoint: { hmacSecret: hmacSecret } }));
+    handlers.push(await staticHandler({ root: root, prefix: '/nosync', syncEndpoint: false }));
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  const authorization={ 'Authorization': `Bearer ${token}` };
+  /**
+   * @param {string} method
+   * @param {number} timestamp
+   * @returns {Object<string,string>}
+   */
+  const signature=(method, timestamp)=>({
+    'X-Sync-Timestamp': `${timestamp}`,
+    'X-Sync-Signature': `sha256=${require('crypto').createHmac('sha256', hmacSecret).update(`${timestamp}.${method}./signed/sync`).digest('hex')}`
+  });
+  it('POST request with a token returns the changes', async()=>{
+    fs.writeFileSync(path.join(root, 'c.txt'), 'cc');
+    fs.writeFileSync(path.join(root, 'a.txt'), 'aaa');
+    fs.unlinkSync(path.join(root, 'b.txt'));
+    const response=await request('/secured/hooks/resync', 'post', authorization);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'application/json');
+    const report=JSON.parse(response.body.toString());
+    assert.deepStrictEqual(report.added, [ { path: '/secured/c.txt', size: 2 } ]);
+    assert.deepStrictEqual(report.changed, [ { path: '/secured/a.txt', size: 3 } ]);
+    assert.deepStrictEqual(report.removed, [ { path: '/secured/b.txt', size: 1 } ]);
+    assert.strictEqual(typeof report.duration, 'number');
+  });
+  it('GET request with a token', async()=>{
+    const response=await request('/secured/hooks/resync', Methods.get, authorization);
+    assert.strictEqual(response.status, 405);
+    assert.strictEqual(response.headers.get('allow'), 'POST');
+  });
+  it('POST request without a token', async()=>{
+    const response=await request('/secured/hooks/resync', 'post');
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.headers.get('www-authenticate'), 'Bearer');
+  });
+  it('POST request with an invalid token', async()=>{
+    const response=await request('/secured/hooks/resync', 'post', { 'Authorization': 'Bearer invalid' });
+    assert.strictEqual(response.status, 401);
+  });
+  it('POST request from an allowed network', async()=>{
+    const response=await request('/secured/hooks/resync', 'post', Object.assign({ 'X-Remote-Address': '10.1.2.3' }, authorization));
+    assert.strictEqual(response.status, 200);
+  });
+  it('POST request from an allowed IPv6 network', async()=>{
+    const response=await request('/secured/hooks/resync', 'post', Object.assign({ 'X-Remote-Address': 'fd12:3456::1' }, authorization));
+    assert.strictEqual(response.status, 200);
+  });
+  it('POST request from an IPv4-mapped IPv6 address', async()=>{
+    const response=await request('/secured/hooks/resync', 'post', Object.assign({ 'X-Remote-Address': '::ffff:127.0.0.1' }, authorization));
+    assert.strictEqual(response.status, 200);
+  });
+  it('POST request from a network that is not allowed', async()=>{
+    const response=await request('/secured/hooks/resync', 'post', Object.assign({ 'X-Remote-Address': '192.168.0.1' }, authorization));
+    assert.strictEqual(response.status, 404);
+  });
+  it('GET request to the default path', async()=>{
+    const response=await request('/secured/sync', Methods.get, authorization);
+    assert.strictEqual(response.status, 404);
+  });
+  it('GET request with a valid signature', async()=>{
+    const response=await request('/signed/sync', Methods.get, signature('GET', Math.floor(Date.now()/1000)));
+    assert.strictEqual(response.status, 200);
+  });
+  it('GET request with the signature of another method', async()=>{
+    const response=await request('/signed/sync', Methods.get, signature('POST', Math.floor(Date.now()/1000)));
+    assert.strictEqual(response.status, 403);
+  });
+  it('GET request with an expired signature', async()=>{
+    const response=await request('/signed/sync', Methods.get, signature('GET', Math.floor(Date.now()/1000)-3600));
+    assert.strictEqual(response.status, 403);
+  });
+  it('GET request without a signature', async()=>{
+    const response=await request('/signed/sync', Methods.get);
+    assert.strictEqual(response.status, 403);
+  });
+  it('GET request to a disabled endpoint', async()=>{
+    const response=await request('/nosync/sync', Methods.get);
+    assert.strictEqual(response.status, 404);
+  });
+});
+
+describe('Events and metrics', ()=>{
+  let root;
+  let handler;
+  const logged=[];
+  const errors=[];
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.writeFileSync(path.join(root, 'text.txt'), 'text '.repeat(100));
+    fs.writeFileSync(path.join(root, 'image.png'), Buffer.alloc(10));
+    handler=await staticHandler({
+      root: root,
+      prefix: '/metrics',
+      metrics: { path: '/_metrics' },
+      logger: { info: it=>logged.push(it), error: it=>errors.push(it) }
+    });
+    handlers.push(handler);
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  it('logs the processed files to the logger', ()=>{
+    assert.ok(logged.some(it=>/^\/metrics\/image.png 10$/.test(it)));
+    assert.ok(logged.some(it=>/^\/metrics\/text.txt 500 .*gzip:0\.\d\d.*br:0\.\d\d/.test(it)));
+  });
+  it('does not log to the console by default', async()=>{
+    const log=console.log;
+    const lines=[];
+    console.log=(...args)=>lines.push(args);
+    try{
+      await (await staticHandler({ root: root, prefix: '/quiet', syncEndpoint: false })).sync();
+    }
+    finally{
+      console.log=log;
+    }
+    assert.strictEqual(lines.length, 0);
+  });
+  it('emits sync and file events', async()=>{
+    const events=[];
+    const listeners={
+      syncStart: ()=>events.push([ 'syncStart' ]),
+      syncFinish: it=>events.push([ 'syncFinish', it ]),
+      fileProcessed: it=>events.push([ 'fileProcessed', it ])
+    };
+    Object.entries(listeners).forEach(([ name,listener ])=>handler.on(name, listener));
+    fs.writeFileSync(path.join(root, 'new.txt'), 'new '.repeat(100));
+    await handler.sync();
+    Object.entries(listeners).forEach(([ name,listener ])=>handler.off(name, listener));
+    assert.deepStrictEqual(events.map(it=>it[0]), [ 'syncStart', 'fileProcessed', 'syncFinish' ]);
+    const file=events[1][1];
+    assert.strictEqual(file.path, '/metrics/new.txt');
+    assert.strictEqual(file.size, 400);
+    assert.strictEqual(file.streamed, false);
+    assert.strictEqual(file.encodings.identity, 400);
+    assert.ok(file.ratios.gzip>0&&file.ratios.gzip<1);
+    assert.ok(file.ratios.br>0&&file.ratios.br<1);
+    const report=events[2][1];
+    assert.deepStrictEqual(report.added, [ '/metrics/new.txt' ]);
+    assert.strictEqual(typeof report.duration, 'number');
+  });
+  it('emits the sync errors', async()=>{
+    const failing=await staticHandler({ root: root, prefix: '/failing-sync', syncEndpoint: false });
+    const events=[];
+    failing.on('syncError', it=>events.push(it));
+    const renamed=`${root}-renamed`;
+    fs.renameSync(root, renamed);
+    try{
+      await assert.rejects(failing.sync());
+    }
+    finally{
+      fs.renameSync(renamed, root);
+    }
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].code, 'ENOENT');
+  });
+  it('emits the served requests', async()=>{
+    const events=[];
+    const listener=it=>events.push(it);
+    handler.on('requestServed', listener);
+    await request('/metrics/text.txt', Methods.get, { 'Accept-Encoding': 'br' });
+    await request('/metrics/text.txt', Methods.head);
+    await request('/metrics/image.png', Methods.delete);
+    handler.off('requestServed', listener);
+    assert.strictEqual(events.length, 3);
+    assert.strictEqual(events[0].method, 'GET');
+    assert.strictEqual(events[0].path, '/metrics/text.txt');
+    assert.strictEqual(events[0].status, 200);
+    assert.strictEqual(events[0].encoding, 'br');
+    assert.ok(events[0].bytes>0&&events[0].bytes<500);
+    assert.strictEqual(typeof events[0].duration, 'number');
+    assert.strictEqual(events[1].encoding, 'identity');
+    assert.strictEqual(events[1].bytes, 0);
+    assert.strictEqual(events[2].status, 405);
+  });
+  it('GET request to the metrics endpoint', async()=>{
+    await request('/metrics/image.png');
+    const response=await request('/metrics/_metrics');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+    const text=response.body.toString();
+    assert.ok(text.indexOf('# TYPE static_http_requests_total counter\n')!==-1);
+    assert.ok(/^static_http_requests_total\{status="200",encoding="identity"\} [1-9]/m.test(text));
+    assert.ok(text.indexOf('# TYPE static_http_request_duration_seconds histogram\n')!==-1);
+    assert.ok(/^static_http_request_duration_seconds_bucket\{le="\+Inf"\} [1-9]/m.test(text));
+    assert.ok(/^static_syncs_total\{result="success"\} [1-9]/m.test(text));
+    assert.ok(/^static_compression_ratio_count\{encoding="gzip"\} [1-9]/m.test(text));
+    assert.ok(/^static_cache_entries 4$/m.test(text));
+    assert.strictEqual(handler.metrics().split('\n')[0], '# HELP static_http_requests_total Number of responses, by status and encoding.');
+  });
+  it('GET request to the metrics endpoint from a remote address', async()=>{
+    const response=await request('/metrics/_metrics', Methods.get, { 'X-Non-Local': '' });
+    assert.strictEqual(response.status, 404);
+  });
+  it('metrics are disabled by default', async()=>{
+    const response=await request('/spa/metrics');
+    assert.notStrictEqual(response.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+    assert.strictEqual(handlers.find(it=>it!==handler).metrics(), null);
+  });
+});
+
+describe('Memory budget', ()=>{
+  let root;
+  let handler;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    [ 'a', 'b', 'c', 'd' ].forEach(it=>fs.writeFileSync(path.join(root, `${it}.txt`), `${it}${it} `.repeat(400)));
+    handler=await staticHandler({ root: root, prefix: '/budget', maxMemory: 1500 });
+    handlers.push(handler);
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  it('evicts the content of the files above the budget', ()=>{
+    const usage=handler.memoryUsage();
+    assert.strictEqual(usage.max, 1500);
+    assert.strictEqual(usage.entries, 1);
+    assert.ok(usage.used>1200&&usage.used<=1500);
+    assert.strictEqual(usage.evictions, 3);
+  });
+  it('GET request for an evicted file', async()=>{
+    // The file kept in memory by the synchronization depends on the order in which the files were processed.
+    await request('/budget/b.txt', Methods.get);
+    const evictions=handler.memoryUsage().evictions;
+    const response=await request('/budget/a.txt', Methods.get, { 'Accept-Encoding': 'br' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-encoding'), 'br');
+    assert.strictEqual((await br(response.body)).toString(), 'aa '.repeat(400));
+    const usage=handler.memoryUsage();
+    assert.strictEqual(usage.entries, 1);
+    assert.strictEqual(usage.evictions, evictions+1);
+    const etag=response.headers.get('etag');
+    const notModified=await request('/budget/a.txt', Methods.get, { 'Accept-Encoding': 'br', 'If-None-Match': etag });
+    assert.strictEqual(notModified.status, 304);
+    assert.strictEqual(handler.memoryUsage().evictions, evictions+1);
+  });
+  it('GET requests keep the most recently used files in memory', async()=>{
+    const unlimited=await staticHandler({ root: root, prefix: '/unlimited', syncEndpoint: false });
+    const size=unlimited.memoryUsage().used/4;
+    assert.strictEqual(unlimited.memoryUsage().evictions, 0);
+    const budget=await staticHandler({ root: root, prefix: '/budget2', maxMemory: size*2 });
+    handlers.push(budget);
+    await request('/budget2/a.txt');
+    await request('/budget2/b.txt');
+    const evictions=budget.memoryUsage().evictions;
+    await request('/budget2/a.txt');
+    await request('/budget2/b.txt');
+    assert.strictEqual(budget.memoryUsage().evictions, evictions);
+    await request('/budget2/c.txt');
+    assert.strictEqual(budget.memoryUsage().evictions, evictions+1);
+    await request('/budget2/b.txt');
+    assert.strictEqual(budget.memoryUsage().evictions, evictions+1);
+    assert.strictEqual(budget.memoryUsage().used, size*2);
+  });
+  it('GET request for an evicted file that changed on disk', async()=>{
+    const before=await request('/budget/c.txt');
+    await request('/budget/d.txt');
+    fs.writeFileSync(path.join(root, 'c.txt'), 'changed');
+    const response=await request('/budget/c.txt');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.toString(), 'changed');
+    assert.notStrictEqual(response.headers.get('etag'), before.headers.get('etag'));
+  });
+  it('GET request for an evicted file that was removed from disk', async()=>{
+    await request('/budget/a.txt');
+    fs.unlinkSync(path.join(root, 'd.txt'));
+    const response=await request('/budget/d.txt');
+    assert.strictEqual(response.status, 404);
+  });
+});
+
+describe('Mounts and layered roots', ()=>{
+  let base;
+  let theme;
+  let docs;
+  let handler;
+  before(async()=>{
+    [ base, theme, docs ]=[ 0, 1, 2 ].map(()=>fs.mkdtempSync(path.join(os.tmpdir(), 'static-')));
+    fs.writeFileSync(path.join(base, 'index.html'), '<html>base</html>');
+    fs.writeFileSync(path.join(base, 'style.css'), 'body{color:black}');
+    fs.writeFileSync(path.join(base, 'app.js'), 'console.log("base")');
+    fs.writeFileSync(path.join(base, '_headers'), '/app.js\n  X-Layer: base\n');
+    fs.mkdirSync(path.join(base, 'img'));
+    fs.writeFileSync(path.join(base, 'img', 'a.svg'), '<svg></svg>');
+    fs.writeFileSync(path.join(theme, 'style.css'), 'body{color:red}');
+    fs.mkdirSync(path.join(theme, 'img'));
+    fs.writeFileSync(path.join(theme, 'img', 'b.svg'), '<svg></svg>');
+    fs.writeFileSync(path.join(docs, 'a.txt'), 'text');
+    fs.writeFileSync(path.join(docs, 'readme.md'), '# readme');
+    handler=await staticHandler({
+      prefix: '/mounted',
+      autoindex: true,
+      mounts: [
+        { root: [ base, theme ], prefix: '/mounted/site' },
+        {
+          root: docs,
+          prefix: '/mounted/docs/',
+          allowedFileTypes: { txt: { headers: { 'Content-Type': 'text/plain', 'Cache-Control': 'public,no-cache' }, compress: false } },
+          headers: { 'X-Frame-Options': 'SAMEORIGIN' }
+        }
+      ]
+    });
+    handlers.push(handler);
+  });
+  after(()=>{
+    [ base, theme, docs ].forEach(it=>removeDirectory(it));
+  });
+  it('GET request for a file shadowed by a later root', async()=>{
+    const response=await request('/mounted/site/style.css');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.toString(), 'body{color:red}');
+  });
+  it('GET request for a file of an earlier root', async()=>{
+    const response=await request('/mounted/site/app.js');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.toString(), 'console.log("base")');
+    assert.strictEqual(response.headers.get('x-layer'), 'base');
+  });
+  it('GET request for the index of a layered root', async()=>{
+    const response=await request('/mounted/site/');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.toString(), '<html>base</html>');
+  });
+  it('GET request for a directory merged from several roots', async()=>{
+    const response=await request('/mounted/site/img/', Methods.get, { 'Accept': 'application/json' });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(JSON.parse(response.body.toString()).map(it=>it.name), [ 'a.svg', 'b.svg' ]);
+  });
+  it('GET request for a file of another mount', async()=>{
+    const response=await request('/mounted/docs/a.txt');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.toString(), 'text');
+    assert.strictEqual(response.headers.get('x-frame-options'), 'SAMEORIGIN');
+    assert.strictEqual(response.headers.get('content-encoding'), undefined);
+  });
+  it('GET request for a file type that is not allowed in the mount', async()=>{
+    const response=await request('/mounted/docs/readme.md');
+    assert.strictEqual(response.status, 404);
+  });
+  it('GET request for the synchronization endpoint under the handler prefix', async()=>{
+    fs.unlinkSync(path.join(theme, 'style.css'));
+    fs.writeFileSync(path.join(docs, 'b.txt'), 'b');
+    const response=await request('/mounted/sync');
+    assert.strictEqual(response.status, 200);
+    const report=JSON.parse(response.body.toString());
+    assert.deepStrictEqual(report.added.map(it=>it.path), [ '/mounted/docs/b.txt' ]);
+    assert.deepStrictEqual(report.changed.map(it=>it.path), [ '/mounted/docs/', '/mounted/site/style.css' ]);
+    assert.deepStrictEqual(report.removed, []);
+    const style=await request('/mounted/site/style.css');
+    assert.strictEqual(style.body.toString(), 'body{color:black}');
+  });
+});
+
+describe('Virtual entries', ()=>{
+  let root;
+  let handler;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.writeFileSync(path.join(root, 'file.txt'), 'file');
+    fs.writeFileSync(path.join(root, '_headers'), '/config.json\n  X-Config: true\n');
+    handler=await staticHandler({ root: root, prefix: '/virtual' });
+    handlers.push(handler);
+    await handler.setEntry('/config.json', JSON.stringify({ env: 'test', items: [ 'a', 'b', 'c' ] }));
+    await handler.setEntry('build', 'build 42', { headers: { 'Content-Type': 'text/plain', 'X-Build': '42' } });
+    await handler.setEntry('data.bin', Buffer.from([ 1, 2, 3 ]), { type: 'png' });
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  it('GET request for a virtual entry with the type of its extension', async()=>{
+    const response=await request('/virtual/config.json', Methods.get, { 'Accept-Encoding': 'gzip' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'application/json');
+    assert.strictEqual(response.headers.get('content-encoding'), 'gzip');
+    assert.strictEqual(response.headers.get('x-config'), 'true');
+    assert.deepStrictEqual(JSON.parse((await gz(response.body)).toString()), { env: 'test', items: [ 'a', 'b', 'c' ] });
+    const notModified=await request(
+      '/virtual/config.json', Methods.get, { 'Accept-Encoding': 'gzip', 'If-None-Match': response.headers.get('etag') }
+    );
+    assert.strictEqual(notModified.status, 304);
+  });
+  it('GET request for a virtual entry with explicit headers', async()=>{
+    const response=await request('/virtual/build', Methods.get, { 'Accept-Encoding': 'br' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('x-build'), '42');
+    assert.strictEqual(response.headers.get('cache-control'), 'public,no-cache');
+    assert.strictEqual(response.headers.get('content-encoding'), 'br');
+    assert.strictEqual((await br(response.body)).toString(), 'build 42');
+  });
+  it('GET request for a virtual entry with an explicit type', async()=>{
+    const response=await request('/virtual/data.bin', Methods.get, { 'Accept-Encoding': 'br' });
+    assert.strictEqual(response.headers.get('content-type'), 'image/png');
+    assert.strictEqual(response.headers.get('content-encoding'), undefined);
+    assert.deepStrictEqual([ ...response.body ], [ 1, 2, 3 ]);
+  });
+  it('invalid virtual entries', async()=>{
+    await assert.rejects(handler.setEntry('unknown.type', 'x'), /Unknown file type: type/);
+    await assert.rejects(handler.setEntry('no-type', 'x', { headers: { 'X-Test': 'true' } }), /Missing Content-Type/);
+  });
+  it('virtual entries are kept by the synchronizations', async()=>{
+    const report=await handler.sync();
+    assert.deepStrictEqual(report, { added: [], changed: [], removed: [] });
+    const response=await request('/virtual/build');
+    assert.strictEqual(response.body.toString(), 'build 42');
+  });
+  it('replacing a virtual entry', async()=>{
+    const before=await request('/virtual/build');
+    await handler.setEntry('build', 'build 43', { headers: { 'Content-Type': 'text/plain' } });
+    const response=await request('/virtual/build');
+    assert.strictEqual(response.body.toString(), 'build 43');
+    assert.notStrictEqual(response.headers.get('etag'), before.headers.get('etag'));
+    assert.strictEqual(response.headers.get('x-build'), undefined);
+  });
+  it('virtual entries shadow the files', async()=>{
+    await handler.setEntry('file.txt', 'virtual');
+    assert.strictEqual((await request('/virtual/file.txt')).body.toString(), 'virtual');
+    await handler.sync();
+    assert.strictEqual((await request('/virtual/file.txt')).body.toString(), 'virtual');
+    assert.strictEqual(handler.removeEntry('file.txt'), true);
+    assert.strictEqual((await request('/virtual/file.txt')).body.toString(), 'file');
+    await handler.sync();
+    assert.strictEqual((await request('/virtual/file.txt')).body.toString(), 'file');
+  });
+  it('removing a virtual entry set after the last synchronization', async()=>{
+    await handler.setEntry('file.txt', 'virtual');
+    assert.strictEqual((await request('/virtual/file.txt')).body.toString(), 'virtual');
+    assert.strictEqual(handler.removeEntry('file.txt'), true);
+    assert.strictEqual((await request('/virtual/file.txt')).body.toString(), 'file');
+  });
+  it('virtual entries set or removed during a synchronization', async()=>{
+    // The files are streamed so that the synchronization reads them again after applying the virtual entries.
+    const integrity=await staticHandler({
+      root: root, prefix: '/virtual-integrity', integrity: true, streamingThreshold: 0
+    });
+    handlers.push(integrity);
+    for(let i=0; i<400; ++i) await integrity.setEntry(`removed${i}.txt`, 'removed');
+    fs.writeFileSync(path.join(root, 'file.txt'), 'file modified');
+    let synchronized=false;
+    const synchronization=integrity.sync().then(()=>synchronized=true);
+    // An entry is set and another one is removed at each step of the synchronization.
+    const added=[];
+    for(let i=0; !synchronized&&i<400; ++i){
+      integrity.removeEntry(`removed${i}.txt`);
+      added.push(integrity.setEntry(`added${i}.txt`, 'added'));
+      await new Promise(resolve=>setImmediate(resolve));
+    }
+    await Promise.all([ synchronization, ...added ]);
+    assert.ok(synchronized);
+    for(let i=0; i<added.length; ++i){
+      assert.strictEqual((await request(`/virtual-integrity/added${i}.txt`)).status, 200);
+      assert.strictEqual((await request(`/virtual-integrity/removed${i}.txt`)).status, 404);
+    }
+    fs.writeFileSync(path.join(root, 'file.txt'), 'file');
+  });
+  it('removing a virtual entry', async()=>{
+    assert.strictEqual(handler.removeEntry('/build'), true);
+    assert.strictEqual(handler.removeEntry('/build'), false);
+    assert.strictEqual((await request('/virtual/build')).status, 404);
+    await handler.sync();
+    assert.strictEqual((await request('/virtual/build')).status, 404);
+  });
+});
+
+describe('Archives', ()=>{
+  let dir;
+  let zip;
+  let tgz;
+  let tar;
+  const css='body{color:black}\n'.repeat(20);
+  before(async()=>{
+    dir=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    zip=path.join(dir, 'site.zip');
+    tgz=path.join(dir, 'site.tar.gz');
+    tar=path.join(dir, 'overlay.tar');
+    fs.writeFileSync(zip, zipArchive([
+      { name: 'index.html', content: '<html>zip</html>' },
+      { name: 'css/' },
+      { name: 'css/style.css', content: css },
+      { name: '.hidden/secret.txt', content: 'secret' },
+      { name: 'data.unknown', content: 'unknown' },
+      { name: '_redirects', content: '/old /index.html 301' },
+      { name: '404.html', content: 'not found' }
+    ], true));
+    fs.writeFileSync(tgz, zlib.gzipSync(tarArchive([
+      { name: './index.html', content: '<html>tgz</html>' },
+      { name: './js/deep/app.js', content: 'console.log("tgz")' }
+    ])));
+    fs.writeFileSync(path.join(dir, 'base.txt'), 'base');
+    fs.writeFileSync(path.join(dir, 'shadowed.txt'), 'directory');
+    fs.writeFileSync(tar, tarArchive([ { name: 'shadowed.txt', content: 'archive' } ]));
+    handlers.push(await staticHandler({ root: zip, prefix: '/zip', errorPages: { 404: '404.html' }, handleNotFound: true }));
+    handlers.push(await staticHandler({ root: tgz, prefix: '/tgz' }));
+    handlers.push(await staticHandler({ root: [ dir, tar ], prefix: '/layered-archive' }));
+  });
+  after(()=>{
+    removeDirectory(dir);
+  });
+  it('GET request for the index of a zip archive', async()=>{
+    const response=await request('/zip/');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'text/html');
+    assert.strictEqual(response.body.toString(), '<html>zip</html>');
+  });
+  it('GET request for a directory of a zip archive without the trailing slash', async()=>{
+    const response=await request('/zip/css');
+    assert.strictEqual(response.status, 301);
+    assert.strictEqual(response.headers.get('location'), '/zip/css/');
+  });
+  it('GET request for a deflated zip entry with gzip', async()=>{
+    const response=await request('/zip/css/style.css', Methods.get, { 'Accept-Encoding': 'gzip' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-encoding'), 'gzip');
+    assert.strictEqual((await gz(response.body)).toString(), css);
+    // The deflated data of the zip entry is reused.
+    assert.deepStrictEqual(response.body.subarray(10, response.body.length-8), zlib.deflateRawSync(css, { level: 1 }));
+  });
+  it('GET request for a deflated zip entry with brotli', async()=>{
+    const response=await request('/zip/css/style.css', Methods.get, { 'Accept-Encoding': 'br' });
+    assert.strictEqual(response.headers.get('content-encoding'), 'br');
+    assert.strictEqual((await br(response.body)).toString(), css);
+  });
+  it('GET request for hidden and unsupported zip entries', async()=>{
+    const hidden=await request('/zip/.hidden/secret.txt');
+    assert.strictEqual(hidden.status, 404);
+    assert.strictEqual(hidden.body.toString(), 'not found');
+    assert.strictEqual((await request('/zip/data.unknown')).status, 404);
+  });
+  it('GET request for a redirect of the _redirects file of a zip archive', async()=>{
+    const response=await request('/zip/old');
+    assert.strictEqual(response.status, 301);
+    assert.strictEqual(response.headers.get('location'), '/zip/index.html');
+  });
+  it('GET request for a gzipped tar archive', async()=>{
+    const index=await request('/tgz/');
+    assert.strictEqual(index.body.toString(), '<html>tgz</html>');
+    const script=await request('/tgz/js/deep/app.js');
+    assert.strictEqual(script.status, 200);
+    assert.strictEqual(script.body.toString(), 'console.log("tgz")');
+    const directory=await request('/tgz/js/deep');
+    assert.strictEqual(directory.status, 301);
+    assert.strictEqual(directory.headers.get('location'), '/tgz/js/deep/');
+  });
+  it('GET request for a zip archive with a memory budget', async()=>{
+    const budget=await staticHandler({ root: zip, prefix: '/zip-budget', maxMemory: 0 });
+    handlers.push(budget);
+    const response=await request('/zip-budget/css/style.css');
+    assert.strictEqual(response.body.toString(), css);
+    assert.deepStrictEqual(budget.memoryUsage(), { used: 0, max: 0, entries: 0, evictions: 0 });
+  });
+  it('GET request for a tar archive layered over a directory', async()=>{
+    assert.strictEqual((await request('/layered-archive/shadowed.txt')).body.toString(), 'archive');
+    assert.strictEqual((await request('/layered-archive/base.txt')).body.toString(), 'base');
+  });
+  it('GET request to the synchronization endpoint reloads the archive', async()=>{
+    fs.writeFileSync(tgz, zlib.gzipSync(tarArchive([
+      { name: 'index.html', content: '<html>updated</html>' },
+      { name: 'js/app.js', content: 'console.log("updated")' }
+    ])));
+    const response=await request('/tgz/sync');
+    const report=JSON.parse(response.body.toString());
+    assert.deepStrictEqual(report.added.map(it=>it.path), [ '/tgz/js/app.js' ]);
+    assert.deepStrictEqual(report.changed.map(it=>it.path), [ '/tgz/' ]);
+    assert.deepStrictEqual(report.removed.map(it=>it.path), [ '/tgz/js/deep', '/tgz/js/deep/app.js' ]);
+    assert.strictEqual((await request('/tgz/')).body.toString(), '<html>updated</html>');
+  });
+  it('GET request to a watched archive replaced by renaming other archives over it', async function(){
+    this.timeout(5000);
+    const watched=path.join(dir, 'watched.zip');
+    fs.writeFileSync(watched, zipArchive([ { name: 'version.txt', content: '0' } ], false));
+    const handler=await staticHandler({ root: watched, prefix: '/watched-archive', watch: true, watchDelay: 20 });
+    handlers.push(handler);
+    try{
+      // The versions have different sizes since the entries of the archives have the same modification time.
+      for(const version of [ 'v1', 'v22' ]){
+        fs.writeFileSync(`${watched}.tmp`, zipArchive([ { name: 'version.txt', content: version } ], false));
+        fs.renameSync(`${watched}.tmp`, watched);
+        let response;
+        for(let i=0; i<30; ++i){
+          response=await request('/watched-archive/version.txt');
+          if(response.body.toString()===version) break;
+          await new Promise(resolve=>setTimeout(resolve, 50));
+        }
+        assert.strictEqual(response.body.toString(), version);
+      }
+    }
+    finally{
+      await handler.close();
+    }
+  });
+});
+
+describe('Image variants', ()=>{
+  let root;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.writeFileSync(path.join(root, 'hero.png'), 'png');
+    fs.writeFileSync(path.join(root, 'hero.webp'), 'webp');
+    fs.writeFileSync(path.join(root, 'hero.avif'), 'avif');
+    fs.writeFileSync(path.join(root, 'logo.png'), 'logo png');
+    fs.writeFileSync(path.join(root, 'logo.webp'), 'logo webp');
+    fs.writeFileSync(path.join(root, 'photo.jpg'), 'jpg');
+    handlers.push(await staticHandler({ root: root, prefix: '/variants', imageVariants: true }));
+    handlers.push(await staticHandler({ root: root, prefix: '/no-variants' }));
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  it('GET request from a client that supports avif', async()=>{
+    const response=await request('/variants/hero.png', Methods.get, { 'Accept': 'image/avif,image/webp,*/*;q=0.8' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'image/avif');
+    assert.strictEqual(response.body.toString(), 'avif');
+    assert.strictEqual(response.headers.get('vary'), 'Accept-Encoding, Accept');
+  });
+  it('GET request from a client that supports webp', async()=>{
+    const response=await request('/variants/hero.png', Methods.get, { 'Accept': 'image/webp,*/*' });
+    assert.strictEqual(response.headers.get('content-type'), 'image/webp');
+    assert.strictEqual(response.body.toString(), 'webp');
+    const direct=await request('/variants/hero.webp');
+    assert.strictEqual(response.headers.get('etag'), direct.headers.get('etag'));
+    assert.strictEqual(direct.headers.get('vary'), 'Accept-Encoding');
+  });
+  it('GET request from a client that prefers the original format', async()=>{
+    const response=await request('/variants/hero.png', Methods.get, { 'Accept': 'image/png,image/webp;q=0.5' });
+    assert.strictEqual(response.headers.get('content-type'), 'image/png');
+    assert.strictEqual(response.body.toString(), 'png');
+    assert.strictEqual(response.headers.get('vary'), 'Accept-Encoding, Accept');
+  });
+  it('GET request from a client that only lists wildcards', async()=>{
+    const response=await request('/variants/hero.png', Methods.get, { 'Accept': '*/*' });
+    assert.strictEqual(response.headers.get('content-type'), 'image/png');
+    const etag=response.headers.get('etag');
+    const notModified=await request('/variants/hero.png', Methods.get, { 'Accept': '*/*', 'If-None-Match': etag });
+    assert.strictEqual(notModified.status, 304);
+    const avif=await request('/variants/hero.png', Methods.get, { 'Accept': 'image/avif', 'If-None-Match': etag });
+    assert.strictEqual(avif.status, 200);
+  });
+  it('GET request for an image with some of the variants', async()=>{
+    const response=await request('/variants/logo.png', Methods.get, { 'Accept': 'image/avif,image/webp,*/*' });
+    assert.strictEqual(response.body.toString(), 'logo webp');
+  });
+  it('GET request for an image without variants', async()=>{
+    const response=await request('/variants/photo.jpg', Methods.get, { 'Accept': 'image/avif,image/webp,*/*' });
+    assert.strictEqual(response.body.toString(), 'jpg');
+    assert.strictEqual(response.headers.get('vary'), 'Accept-Encoding');
+  });
+  it('GET request without the imageVariants option', async()=>{
+    const response=await request('/no-variants/hero.png', Methods.get, { 'Accept': 'image/avif,image/webp,*/*' });
+    assert.strictEqual(response.body.toString(), 'png');
+  });
+  it('variants are updated by the synchronizations', async()=>{
+    fs.unlinkSync(path.join(root, 'logo.webp'));
+    fs.writeFileSync(path.join(root, 'photo.avif'), 'photo avif');
+    const response=await request('/variants/sync');
+    const report=JSON.parse(response.body.toString());
+    assert.deepStrictEqual(report.changed.map(it=>it.path), [ '/variants/logo.png', '/variants/photo.jpg' ]);
+    assert.strictEqual(
+      (await request('/variants/logo.png', Methods.get, { 'Accept': 'image/webp' })).headers.get('vary'), 'Accept-Encoding'
+    );
+    assert.strictEqual(
+      (await request('/variants/photo.jpg', Methods.get, { 'Accept': 'image/avif' })).body.toString(), 'photo avif'
+    );
+  });
+});
+
+describe('Language negotiation', ()=>{
+  let root;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.writeFileSync(path.join(root, 'index.html'), '<html>english</html>');
+    fs.writeFileSync(path.join(root, 'index.fr.html'), '<html>français</html>');
+    fs.writeFileSync(path.join(root, 'index.de.html'), '<html>deutsch</html>');
+    fs.writeFileSync(path.join(root, 'about.pt-br.html'), '<html>sobre</html>');
+    fs.writeFileSync(path.join(root, 'about.en.html'), '<html>about</html>');
+    fs.writeFileSync(path.join(root, 'jquery.ui.js'), 'ui');
+    fs.writeFileSync(path.join(root, 'app.js'), 'app');
+    fs.writeFileSync(path.join(root, 'app.js.map'), '{}');
+    fs.writeFileSync(path.join(root, 'lib.js'), 'lib');
+    fs.writeFileSync(path.join(root, 'lib.es.js'), 'lib es');
+    fs.mkdirSync(path.join(root, 'docs'));
+    fs.writeFileSync(path.join(root, 'docs', 'index.fr.html'), '<html>docs</html>');
+    handlers.push(await staticHandler({
+      root: root,
+      prefix: '/languages',
+      autoindex: true,
+      languages: { default: 'en', supported: [ 'en', 'fr', 'de', 'pt-BR' ] }
+    }));
+    handlers.push(await staticHandler({ root: root, prefix: '/any-language', languages: true }));
+    handlers.push(await staticHandler({ root: root, prefix: '/no-languages' }));
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  it('GET request for a localized index', async()=>{
+    const response=await request('/languages/', Methods.get, { 'Accept-Language': 'fr-CH, fr;q=0.9, en;q=0.8' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.toString(), '<html>français</html>');
+    assert.strictEqual(response.headers.get('content-language'), 'fr');
+    assert.strictEqual(response.headers.get('vary'), 'Accept-Encoding, Accept-Language');
+  });
+  it('GET request with q-values', async()=>{
+    const response=await request('/languages/', Methods.get, { 'Accept-Language': 'fr;q=0.5, de;q=0.7' });
+    assert.strictEqual(response.body.toString(), '<html>deutsch</html>');
+    assert.strictEqual(response.headers.get('content-language'), 'de');
+  });
+  it('GET request for the default language', async()=>{
+    const response=await request('/languages/', Methods.get, { 'Accept-Language': 'en-US,en;q=0.9' });
+    assert.strictEqual(response.body.toString(), '<html>english</html>');
+    assert.strictEqual(response.headers.get('content-language'), 'en');
+  });
+  it('GET request for an unavailable language', async()=>{
+    const response=await request('/languages/', Methods.get, { 'Accept-Language': 'ja' });
+    assert.strictEqual(response.body.toString(), '<html>english</html>');
+    assert.strictEqual(response.headers.get('content-language'), 'en');
+  });
+  it('GET request without Accept-Language', async()=>{
+    const response=await request('/languages/');
+    assert.strictEqual(response.body.toString(), '<html>english</html>');
+    assert.strictEqual(response.headers.get('vary'), 'Accept-Encoding, Accept-Language');
+  });
+  it('GET request with an encoding', async()=>{
+    const response=await request('/languages/', Methods.get, { 'Accept-Language': 'de', 'Accept-Encoding': 'br' });
+    assert.strictEqual(response.headers.get('content-encoding'), 'br');
+    assert.strictEqual((await br(response.body)).toString(), '<html>deutsch</html>');
+    const english=await request('/languages/', Methods.get, { 'Accept-Encoding': 'br' });
+    assert.notStrictEqual(english.headers.get('etag'), response.headers.get('etag'));
+    const notModified=await request('/languages/', Methods.get, {
+      'Accept-Language': 'de', 'Accept-Encoding': 'br', 'If-None-Match': response.headers.get('etag')
+    });
+    assert.strictEqual(notModified.status, 304);
+  });
+  it('GET request for a page without a version in the default language file name', async()=>{
+    const response=await request('/languages/about.html', Methods.get, { 'Accept-Language': 'pt' });
+    assert.strictEqual(response.status, 404);
+    const localized=await request('/languages/about.pt-br.html', Methods.get, { 'Accept-Language': 'en' });
+    assert.strictEqual(localized.body.toString(), '<html>sobre</html>');
+    assert.strictEqual(localized.headers.get('content-language'), undefined);
+  });
+  it('GET request for a directory with only a localized index', async()=>{
+    const response=await request('/languages/docs/', Methods.get, { 'Accept-Language': 'fr' });
+    assert.strictEqual(response.status, 200);
+    assert.notStrictEqual(response.body.toString(), '<html>docs</html>');
+    assert.strictEqual(response.headers.get('content-language'), undefined);
+  });
+  it('GET request for a localized file', async()=>{
+    const response=await request('/languages/index.de.html');
+    assert.strictEqual(response.body.toString(), '<html>deutsch</html>');
+    assert.strictEqual((await request('/languages/jquery.ui.js')).body.toString(), 'ui');
+    assert.strictEqual((await request('/languages/jquery.js')).status, 404);
+  });
+  it('GET request for files with a tag that is not a language', async()=>{
+    assert.strictEqual((await request('/any-language/jquery.js')).status, 404);
+    assert.strictEqual((await request('/any-language/app.map')).status, 404);
+    const response=await request('/any-language/app.js', Methods.get, { 'Accept-Language': 'js' });
+    assert.strictEqual(response.body.toString(), 'app');
+    assert.strictEqual(response.headers.get('content-language'), undefined);
+    assert.strictEqual((await request('/any-language/app.js.map')).body.toString(), '{}');
+  });
+  it('GET request for a file that is not a page with a file with a language tag', async()=>{
+    const response=await request('/any-language/lib.js', Methods.get, { 'Accept-Language': 'es' });
+    assert.strictEqual(response.body.toString(), 'lib');
+    assert.strictEqual(response.headers.get('content-language'), undefined);
+    assert.strictEqual(response.headers.get('vary'), 'Accept-Encoding');
+    assert.strictEqual((await request('/any-language/lib.es.js')).body.toString(), 'lib es');
+  });
+  it('GET request without the languages option', async()=>{
+    const response=await request('/no-languages/', Methods.get, { 'Accept-Language': 'fr' });
+    assert.strictEqual(response.body.toString(), '<html>english</html>');
+    assert.strictEqual(response.headers.get('content-language'), undefined);
+  });
+  it('localized versions are updated by the synchronizations', async()=>{
+    fs.unlinkSync(path.join(root, 'index.fr.html'));
+    fs.unlinkSync(path.join(root, 'index.de.html'));
+    await request('/languages/sync');
+    const response=await request('/languages/', Methods.get, { 'Accept-Language': 'fr' });
+    assert.strictEqual(response.body.toString(), '<html>english</html>');
+    assert.strictEqual(response.headers.get('vary'), 'Accept-Encoding');
+    assert.strictEqual(response.headers.get('content-language'), undefined);
+  });
+});
+
+describe('Subresource integrity', ()=>{
+  let root;
+  let transformed;
+  let digests;
+  const digest=(algorithm,data)=>`${algorithm}-${require('crypto').createHash(algorithm).update(data).digest('base64')}`;
+  const page=`<!DOCTYPE html>
+<html>
+<head>
+<script src="app.js"></script>
+<link rel="stylesheet" href="/integrity/style.css"/>
+<link rel=icon href=style.css>
+<script src="https://cdn.example.com/app.js"></script>
+<script src="missing.js"></script>
+<script src='app.js' integrity="sha256-pinned"></script>
+</head>
+</html>`;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.writeFileSync(path.join(root, 'index.html'), page);
+    fs.writeFileSync(path.join(root, 'app.js'), 'console.log("app");');
+    fs.writeFileSync(path.join(root, 'style.css'), 'body{margin:0}');
+    handlers.push(transformed=await staticHandler({
+      root: root, prefix: '/integrity', integrity: { path: '/assets.json', transform: true }
+    }));
+    handlers.push(digests=await staticHandler({ root: root, prefix: '/sri', integrity: true }));
+    handlers.push(await staticHandler({
+      root: root, prefix: '/evicted-integrity', integrity: { transform: true }, maxMemory: 0
+    }));
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  it('asset manifest', async()=>{
+    const manifest=digests.manifest();
+    assert.deepStrictEqual(Object.keys(manifest), [ '/sri/', '/sri/app.js', '/sri/style.css' ]);
+    assert.deepStrictEqual(manifest['/sri/app.js'], {
+      size: 19,
+      type: 'application/javascript',
+      sha256: digest('sha256', 'console.log("app");'),
+      sha384: digest('sha384', 'console.log("app");')
+    });
+    assert.strictEqual(manifest['/sri/'].sha384, digest('sha384', page));
+    assert.strictEqual((await request('/sri/assets.json')).status, 404);
+  });
+  it('asset manifest without the integrity option', async()=>{
+    assert.strictEqual(handlers[0].manifest(), null);
+  });
+  it('GET request for the asset manifest', async()=>{
+    const response=await request('/integrity/assets.json', Methods.get, { 'Accept-Encoding': 'gzip' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'application/json');
+    assert.strictEqual(response.headers.get('content-encoding'), 'gzip');
+    const manifest=JSON.parse((await gz(response.body)).toString());
+    assert.deepStrictEqual(manifest, transformed.manifest());
+    assert.strictEqual(manifest['/integrity/assets.json'], undefined);
+    const notModified=await request('/integrity/assets.json', Methods.get, { 'If-None-Match': response.headers.get('etag').replace(/-gzip"$/, '"') });
+    assert.strictEqual(notModified.status, 304);
+  });
+  it('GET request for a page with integrity attributes', async()=>{
+    const response=await request('/integrity/');
+    assert.strictEqual(response.status, 200);
+    const html=response.body.toString();
+    const app=digest('sha384', 'console.log("app");');
+    const style=digest('sha384', 'body{margin:0}');
+    assert.ok(html.indexOf(`<script src="app.js" integrity="${app}"></script>`)!==-1);
+    assert.ok(html.indexOf(`<link rel="stylesheet" href="/integrity/style.css" integrity="${style}"/>`)!==-1);
+    assert.ok(html.indexOf('<link rel=icon href=style.css>')!==-1);
+    assert.ok(html.indexOf('<script src="https://cdn.example.com/app.js"></script>')!==-1);
+    assert.ok(html.indexOf('<script src="missing.js"></script>')!==-1);
+    assert.ok(html.indexOf('<script src=\'app.js\' integrity="sha256-pinned"></script>')!==-1);
+    assert.strictEqual(transformed.manifest()['/integrity/'].sha384, digest('sha384', html));
+    assert.strictEqual(transformed.manifest()['/integrity/'].size, response.body.length);
+  });
+  it('GET request for a page without the transform', async()=>{
+    const response=await request('/sri/');
+    assert.strictEqual(response.body.toString(), page);
+  });
+  it('GET request for an evicted page with integrity attributes', async()=>{
+    const response=await request('/evicted-integrity/', Methods.get, { 'Accept-Encoding': 'br' });
+    assert.strictEqual(response.status, 200);
+    const html=(await br(response.body)).toString();
+    assert.ok(html.indexOf(`<script src="app.js" integrity="${digest('sha384', 'console.log("app");')}"></script>`)!==-1);
+    const again=await request('/evicted-integrity/', Methods.get, { 'Accept-Encoding': 'br' });
+    assert.strictEqual(again.headers.get('etag'), response.headers.get('etag'));
+  });
+  it('integrity attributes are updated by the synchronizations', async()=>{
+    const etag=(await request('/integrity/')).headers.get('etag');
+    fs.writeFileSync(path.join(root, 'app.js'), 'console.log("updated");');
+    const response=await request('/integrity/sync');
+    assert.deepStrictEqual(JSON.parse(response.body.toString()).changed.map(it=>it.path), [
+      '/integrity/', '/integrity/app.js', '/integrity/assets.json'
+    ]);
+    const html=await request('/integrity/');
+    assert.notStrictEqual(html.headers.get('etag'), etag);
+    assert.ok(html.body.toString().indexOf(`<script src="app.js" integrity="${digest('sha384', 'console.log("updated");')}"></script>`)!==-1);
+    assert.deepStrictEqual(JSON.parse((await request('/integrity/sync')).body.toString()).changed, []);
+  });
+});
+
+describe('Preload links and early hints', ()=>{
+  let root;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.writeFileSync(path.join(root, 'index.html'), `<!DOCTYPE html>
+<html>
+<head>
+<link rel="stylesheet" href="style.css">
+<link rel="stylesheet" href="https://cdn.example.com/style.css">
+<link rel="stylesheet" href="missing.css">
+<link rel="preload" href="/preload/fonts/font.woff2" as="font" type="font/woff2">
+<script type="module" src="app.mjs"></script>
+<script src="legacy.js"></script>
+</head>
+</html>`);
+    fs.writeFileSync(path.join(root, 'plain.html'), '<html><link rel=stylesheet href=style.css></html>');
+    fs.writeFileSync(path.join(root, 'empty.html'), '<html></html>');
+    fs.writeFileSync(path.join(root, 'parameter.html'), `<html>
+<link rel="preload" href="fonts/font.woff2" as="font" type="font/woff2; charset=binary">
+<link rel="stylesheet" href="style.css">
+</html>`);
+    fs.writeFileSync(path.join(root, 'style.css'), 'body{margin:0}');
+    fs.writeFileSync(path.join(root, 'app.mjs'), 'export default 1;');
+    fs.writeFileSync(path.join(root, 'legacy.js'), 'var a=1;');
+    fs.mkdirSync(path.join(root, 'fonts'));
+    fs.writeFileSync(path.join(root, 'fonts', 'font.woff2'), 'woff2');
+    handlers.push(await staticHandler({
+      root: root,
+      prefix: '/preload',
+      preload: { paths: [ { path: '/plain.html', earlyHints: false } ] }
+    }));
+    handlers.push(await staticHandler({ root: root, prefix: '/no-preload' }));
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  const links=[
+    '</preload/style.css>; rel=preload; as=style',
+    '</preload/fonts/font.woff2>; rel=preload; as=font; type="font/woff2"; crossorigin',
+    '</preload/app.mjs>; rel=modulepreload'
+  ];
+  it('GET request for a page with subresources', async()=>{
+    const response=await request('/preload/');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('link'), links.join(', '));
+  });
+  it('GET request for a page with subresources sends early hints', async function(){
+    if(!http.ServerResponse.prototype.writeEarlyHints) this.skip();
+    const response=await request('/preload/');
+    assert.strictEqual(response.informational.length, 1);
+    assert.strictEqual(response.informational[0].status, 103);
+    assert.strictEqual(response.informational[0].headers['link'], links.join(', '));
+  });
+  it('GET request for a page with a preload link with a type parameter', async()=>{
+    const response=await request('/preload/parameter.html');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('link'), links[0]);
+    assert.ok(response.informational.every(it=>it.headers['link']===links[0]));
+  });
+  it('HEAD and conditional requests for a page with subresources', async()=>{
+    const head=await request('/preload/', Methods.head);
+    assert.strictEqual(head.headers.get('link'), links.join(', '));
+    assert.strictEqual(head.informational.length, 0);
+    const notModified=await request('/preload/', Methods.get, { 'If-None-Match': head.headers.get('etag') });
+    assert.strictEqual(notModified.status, 304);
+    assert.strictEqual(notModified.informational.length, 0);
+  });
+  it('GET request for a page with per path settings', async()=>{
+    const response=await request('/preload/plain.html');
+    assert.strictEqual(response.headers.get('link'), '</preload/style.css>; rel=preload; as=style');
+    assert.strictEqual(response.informational.length, 0);
+  });
+  it('GET request for a page without subresources', async()=>{
+    const response=await request('/preload/empty.html');
+    assert.strictEqual(response.headers.get('link'), undefined);
+    assert.strictEqual(response.informational.length, 0);
+  });
+  it('GET request without the preload option', async()=>{
+    const response=await request('/no-preload/');
+    assert.strictEqual(response.headers.get('link'), undefined);
+    assert.strictEqual(response.informational.length, 0);
+  });
+  it('preload links are updated by the synchronizations', async()=>{
+    fs.writeFileSync(path.join(root, 'missing.css'), 'p{margin:0}');
+    fs.unlinkSync(path.join(root, 'app.mjs'));
+    const report=JSON.parse((await request('/preload/sync')).body.toString());
+    assert.deepStrictEqual(report.changed.map(it=>it.path), [ '/preload/' ]);
+    const response=await request('/preload/');
+    assert.strictEqual(response.headers.get('link'), [
+      '</preload/style.css>; rel=preload; as=style',
+      '</preload/missing.css>; rel=preload; as=style',
+      '</preload/fonts/font.woff2>; rel=preload; as=font; type="font/woff2"; crossorigin'
+    ].join(', '));
+  });
+});
+
+describe('Cache generations', ()=>{
+  let root;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.writeFileSync(path.join(root, 'index.html'), '<script src="app.js"></script>');
+    fs.writeFileSync(path.join(root, 'app.js'), 'v1');
+    handlers.push(await staticHandler({ root: root, prefix: '/generations', generations: { keep: 2 } }));
+    handlers.push(await staticHandler({ root: root, prefix: '/expiring', generations: { maxAge: 0.05, cookie: null } }));
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  it('GET request with the generation id', async()=>{
+    const response=await request('/generations/app.js');
+    assert.strictEqual(response.headers.get('x-cache-generation'), '1');
+    assert.strictEqual(response.headers.get('vary'), 'Accept-Encoding, X-Cache-Generation');
+    assert.strictEqual(response.headers.get('set-cookie'), undefined);
+    const page=await request('/generations/');
+    assert.deepStrictEqual(page.headers.get('set-cookie'), [ 'cache-generation=1; Path=/generations; Max-Age=300; SameSite=Lax' ]);
+  });
+  it('GET request pinned to a previous generation', async()=>{
+    fs.writeFileSync(path.join(root, 'app.js'), 'v2');
+    fs.writeFileSync(path.join(root, 'index.html'), '<script src="app.js?v2"></script>');
+    const report=JSON.parse((await request('/generations/sync')).body.toString());
+    assert.strictEqual(report.generation, 2);
+    const latest=await request('/generations/app.js');
+    assert.strictEqual(latest.body.toString(), 'v2');
+    assert.strictEqual(latest.headers.get('x-cache-generation'), '2');
+    const cookie=await request('/generations/app.js', Methods.get, { 'Cookie': 'a=b; cache-generation=1' });
+    assert.strictEqual(cookie.body.toString(), 'v1');
+    assert.strictEqual(cookie.headers.get('x-cache-generation'), '1');
+    assert.strictEqual(cookie.headers.get('cache-control'), 'private,no-cache');
+    const header=await request('/generations/app.js', Methods.get, { 'X-Cache-Generation': '1' });
+    assert.strictEqual(header.body.toString(), 'v1');
+  });
+  it('GET request for a page with the cookie of a previous generation', async()=>{
+    const page=await request('/generations/', Methods.get, { 'Cookie': 'cache-generation=1' });
+    assert.strictEqual(page.body.toString(), '<script src="app.js?v2"></script>');
+    assert.strictEqual(page.headers.get('x-cache-generation'), '2');
+    assert.deepStrictEqual(page.headers.get('set-cookie'), [ 'cache-generation=2; Path=/generations; Max-Age=300; SameSite=Lax' ]);
+    const pinned=await request('/generations/', Methods.get, { 'X-Cache-Generation': '1' });
+    assert.strictEqual(pinned.body.toString(), '<script src="app.js"></script>');
+  });
+  it('GET request pinned to an unknown generation', async()=>{
+    const response=await request('/generations/app.js', Methods.get, { 'X-Cache-Generation': '9' });
+    assert.strictEqual(response.body.toString(), 'v2');
+    assert.strictEqual(response.headers.get('x-cache-generation'), '2');
+    assert.strictEqual(response.headers.get('cache-control'), 'public,no-cache');
+  });
+  it('synchronizations without changes keep the generation', async()=>{
+    const report=JSON.parse((await request('/generations/sync')).body.toString());
+    assert.strictEqual(report.generation, 2);
+    assert.strictEqual((await request('/generations/app.js', Methods.get, { 'X-Cache-Generation': '1' })).body.toString(), 'v1');
+  });
+  it('generations over the limit are released', async()=>{
+    fs.writeFileSync(path.join(root, 'app.js'), 'v3');
+    const report=JSON.parse((await request('/generations/sync')).body.toString());
+    assert.strictEqual(report.generation, 3);
+    assert.strictEqual((await request('/generations/app.js', Methods.get, { 'X-Cache-Generation': '1' })).body.toString(), 'v3');
+    assert.strictEqual((await request('/generations/app.js', Methods.get, { 'X-Cache-Generation': '2' })).body.toString(), 'v2');
+  });
+  it('expired generations are released', async()=>{
+    const initial=await request('/expiring/app.js');
+    assert.strictEqual(initial.headers.get('x-cache-generation'), '1');
+    fs.writeFileSync(path.join(root, 'app.js'), 'v4');
+    await request('/expiring/sync');
+    const pinned=await request('/expiring/app.js', Methods.get, { 'Cookie': 'cache-generation=1', 'X-Cache-Generation': '1' });
+    assert.strictEqual(pinned.body.toString(), initial.body.toString());
+    await new Promise(resolve=>setTimeout(resolve, 100));
+    const expired=await request('/expiring/app.js', Methods.get, { 'X-Cache-Generation': '1' });
+    assert.strictEqual(expired.body.toString(), 'v4');
+    assert.strictEqual(expired.headers.get('x-cache-generation'), '2');
+    assert.strictEqual((await request('/expiring/')).headers.get('set-cookie'), undefined);
+  });
+});
+
+describe('Command line', ()=>{
+  const cli=require('../cli');
+  let root;
+  const get=(port,path)=>new Promise((resolve,reject)=>{
+    http.get({ host: 'localhost', port: port, path: path }, it=>{
+      const data=[];
+      it.on('data', chunk=>data.push(chunk));
+      it.on('end', ()=>resolve({ status: it.statusCode, headers: it.headers, body: Buffer.concat(data) }));
+    }).on('error', reject).setTimeout(3000);
+  });
+  before(()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.writeFileSync(path.join(root, 'index.html'), '<html></html>');
+    fs.writeFileSync(path.join(root, 'types.json'), JSON.stringify({ html: { headers: { 'Content-Type': 'text/html' }, compress: false } }));
+  });
+  after(()=>{
+    removeDirectory(root);
+  });
+  it('parses the options', ()=>{
+    fs.writeFileSync(path.join(root, 'redirects.json'), JSON.stringify([ { from: '/a', to: '/b' } ]));
+    const options=cli.parseArguments([
+      '--root', 'www', '--root=dist', '--prefix', '/app', '--header', 'X-Frame-Options: DENY', '--header=X-A:b:c',
+      '--disallow-shared-cache', '--types', path.join(root, 'types.json'), '--streaming-threshold=1024',
+      '--no-sync-endpoint', '--metrics={"path":null}', `--redirects=@${path.join(root, 'redirects.json')}`,
+      '--languages', '--log', '--port', '8443', '--http2'
+    ]);
+    assert.deepStrictEqual(options.handler, {
+      root: [ 'www', 'dist' ],
+      prefix: '/app',
+      headers: { 'X-Frame-Options': 'DENY', 'X-A': 'b:c' },
+      disallowSharedCache: true,
+      allowedFileTypes: { html: { headers: { 'Content-Type': 'text/html' }, compress: false } },
+      streamingThreshold: 1024,
+      syncEndpoint: false,
+      metrics: { path: null },
+      redirects: [ { from: '/a', to: '/b' } ],
+      languages: true,
+      logger: console
+    });
+    assert.deepStrictEqual(options.server, { port: 8443, host: null, cert: null, key: null, http2: true, export: null, help: false });
+    assert.strictEqual(cli.parseArguments([ '--root', 'www' ]).handler.root, 'www');
+  });
+  it('rejects invalid options', ()=>{
+    assert.throws(()=>cli.parseArguments([ '--unknown' ]), /Unknown option: --unknown/);
+    assert.throws(()=>cli.parseArguments([ 'www' ]), /Unexpected argument: www/);
+    assert.throws(()=>cli.parseArguments([ '--prefix' ]), /Missing value for --prefix/);
+    assert.throws(()=>cli.parseArguments([ '--port', 'http' ]), /Invalid value for --port: http/);
+    assert.throws(()=>cli.parseArguments([ '--no-prefix' ]), /Unknown option: --no-prefix/);
+    assert.throws(()=>cli.parseArguments([ '--autoindex=yes' ]), /Unexpected value for --autoindex/);
+    assert.throws(()=>cli.parseArguments([ '--metrics={' ]), /Invalid value for --metrics/);
+    assert.throws(()=>cli.parseArguments([ '--header', 'invalid' ]), /Invalid header: invalid/);
+    assert.throws(()=>cli.parseArguments([ '--cert', 'cert.pem' ]), /Both --cert and --key are required/);
+    assert.ok(cli.usage().indexOf('--sync-endpoint')!==-1);
+  });
+  it('serves the files over http/1.1', async()=>{
+    const it=await cli.serve({ root: root }, { port: 8091, host: 'localhost' });
+    try{
+      const response=await get(8091, '/');
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.toString(), '<html></html>');
+      assert.strictEqual((await get(8091, '/missing.html')).status, 404);
+    }
+    finally{
+      await it.close();
+    }
+  });
+  it('serves the files over http/2', async()=>{
+    const it=await cli.serve({ root: root }, { port: 8091, host: 'localhost', http2: true });
+    const session=require('http2').connect('http://localhost:8091');
+    try{
+      const response=await new Promise((resolve,reject)=>{
+        const stream=session.request({ ':path': '/' });
+        const data=[];
+        let status=0;
+        stream.on('response', headers=>status=headers[':status']);
+        stream.on('data', chunk=>data.push(chunk));
+        stream.on('end', ()=>resolve({ status: status, body: Buffer.concat(data) }));
+        stream.on('error', reject);
+      });
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.toString(), '<html></html>');
+    }
+    finally{
+      // The open sessions are closed on shutdown.
+      await it.close();
+    }
+    if(!session.closed&&!session.destroyed) await new Promise(resolve=>session.once('close', resolve));
+  });
+  it('synchronizes on SIGHUP and stops on SIGTERM', async function(){
+    this.timeout(10000);
+    const child=require('child_process').spawn(process.execPath, [
+      path.join(__dirname, '..', 'cli.js'), '--root', root, '--port', '8092', '--host', '127.0.0.1'
+    ]);
+    let output='';
+    const waitFor=text=>new Promise((resolve,reject)=>{
+      const check=()=>{
+        if(output.indexOf(text)===-1) return false;
+        child.stdout.off('data', check);
+        resolve();
+        return true;
+      };
+      if(check()) return;
+      child.stdout.on('data', check);
+      child.once('exit', ()=>reject(new Error(`Exited before: ${text}`)));
+    });
+    child.stdout.on('data', it=>output+=it.toString());
+    try{
+      await waitFor('Listening on http://127.0.0.1:8092');
+      assert.strictEqual((await get(8092, '/new.html')).status, 404);
+      fs.writeFileSync(path.join(root, 'new.html'), '<html>new</html>');
+      child.kill('SIGHUP');
+      await waitFor('Synchronized: 1 added, 0 changed, 0 removed');
+      assert.strictEqual((await get(8092, '/new.html')).body.toString(), '<html>new</html>');
+      const exited=new Promise(resolve=>child.once('exit', code=>resolve(code)));
+      child.kill('SIGTERM');
+      assert.strictEqual(await exited, 0);
+      assert.ok(output.indexOf('Stopped')!==-1);
+    }
+    finally{
+      if(child.exitCode===null) child.kill('SIGKILL');
+    }
+  });
+});
+
+describe('Export', ()=>{
+  let root;
+  let output;
+  let manifest;
+  before(async()=>{
+    root=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    output=fs.mkdtempSync(path.join(os.tmpdir(), 'static-'));
+    fs.writeFileSync(path.join(root, 'index.html'), '<html>index</html>');
+    fs.writeFileSync(path.join(root, 'app.js'), 'console.log("app");'.repeat(10));
+    fs.writeFileSync(path.join(root, 'logo.png'), 'png');
+    fs.mkdirSync(path.join(root, 'sub'));
+    fs.writeFileSync(path.join(root, 'sub', 'page.html'), '<html>page</html>');
+    fs.writeFileSync(path.join(root, '_headers'), '/app.js\n  X-App: exported\n');
+    manifest=await staticHandler.build({
+      root: root,
+      prefix: '/built',
+      headerRules: [ { path: '/sub/*', headers: { 'X-Frame-Options': null } } ]
+    }, output);
+    // The compressed versions are loaded as they are.
+    fs.writeFileSync(path.join(output, 'built', 'index.html.gz'), zlib.gzipSync('<html>exported</html>'));
+    handlers.push(await staticHandler({ exported: output, prefix: '/built' }));
+  });
+  after(()=>{
+    removeDirectory(root);
+    removeDirectory(output);
+  });
+  it('writes the files and the manifest', ()=>{
+    assert.deepStrictEqual(Object.keys(manifest), [
+      '/built', '/built/', '/built/app.js', '/built/logo.png', '/built/sub', '/built/sub/page.html'
+    ]);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(output, '_static.json')).toString()), manifest);
+    const app=manifest['/built/app.js'];
+    assert.strictEqual(app.file, 'built/app.js');
+    assert.strictEqual(app.size, 190);
+    assert.strictEqual(app.headers['Content-Type'], 'application/javascript');
+    assert.strictEqual(app.headers['X-App'], 'exported');
+    assert.strictEqual(app.headers['X-Content-Type-Options'], 'nosniff');
+    assert.strictEqual(app.encodings.gzip.file, 'built/app.js.gz');
+    assert.strictEqual(app.encodings.gzip.etag, `${app.headers['ETag'].slice(0, -1)}-gzip"`);
+    assert.strictEqual(zlib.gunzipSync(fs.readFileSync(path.join(output, app.encodings.gzip.file))).toString(), 'console.log("app");'.repeat(10));
+    assert.strictEqual(zlib.brotliDecompressSync(fs.readFileSync(path.join(output, app.encodings.br.file))).toString(), 'console.log("app");'.repeat(10));
+    assert.strictEqual(manifest['/built/'].file, 'built/index.html');
+    assert.strictEqual(fs.readFileSync(path.join(output, 'built', 'index.html')).toString(), '<html>index</html>');
+    assert.strictEqual(manifest['/built/logo.png'].encodings, undefined);
+    assert.strictEqual(manifest['/built/sub'].file, undefined);
+    assert.strictEqual(manifest['/built/sub'].headers['Location'], '/built/sub/');
+    assert.strictEqual(manifest['/built/sub/page.html'].headers['X-Frame-Options'], undefined);
+  });
+  it('GET request for an exported file', async()=>{
+    const response=await request('/built/app.js', Methods.get, { 'Accept-Encoding': 'br' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-encoding'), 'br');
+    assert.strictEqual(response.headers.get('etag'), manifest['/built/app.js'].encodings.br.etag);
+    assert.strictEqual(response.headers.get('x-app'), 'exported');
+    assert.strictEqual((await br(response.body)).toString(), 'console.log("app");'.repeat(10));
+    const notModified=await request('/built/app.js', Methods.get, { 'If-None-Match': manifest['/built/app.js'].headers['ETag'] });
+    assert.strictEqual(notModified.status, 304);
+  });
+  it('GET request for an exported file with its compressed versions', async()=>{
+    const response=await request('/built/', Methods.get, { 'Accept-Encoding': 'gzip' });
+    assert.strictEqual((await gz(response.body)).toString(), '<html>exported</html>');
+    assert.strictEqual((await request('/built/')).body.toString(), '<html>index</html>');
+  });
+  it('GET request for an exported file with removed headers', async()=>{
+    const response=await request('/built/sub/page.html');
+    assert.strictEqual(response.headers.get('x-frame-options'), undefined);
+    assert.strictEqual(response.headers.get('x-content-type-options'), 'nosniff');
+  });
+  it('GET request for an exported redirect', async()=>{
+    const response=await request('/built/sub');
+    assert.strictEqual(response.status, 301);
+    assert.strictEqual(response.headers.get('location'), '/built/sub/');
+  });
+  it('exported files are updated by the synchronizations', async()=>{
+    assert.deepStrictEqual(JSON.parse((await request('/built/sync')).body.toString()).changed, []);
+    fs.writeFileSync(path.join(root, 'app.js'), 'console.log("updated");');
+    await staticHandler.build({ root: root, prefix: '/built' }, output);
+    const report=JSON.parse((await request('/built/sync')).body.toString());
+    assert.ok(report.changed.map(it=>it.path).indexOf('/built/app.js')!==-1);
+    assert.strictEqual((await request('/built/app.js')).body.toString(), 'console.log("updated");');
+  });
+  it('parses the export options', ()=>{
+    assert.strictEqual(require('../cli').parseArguments([ '--export', 'dist' ]).server.export, 'dist');
+    assert.strictEqual(require('../cli').parseArguments([ '--exported', 'dist' ]).handler.exported, 'dist');
+  });
+});